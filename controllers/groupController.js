@@ -2,6 +2,7 @@ import Group from '../models/Group.js';
 import ChatSession from '../models/ChatSession.js';
 import User from '../models/User.js';
 import logger from '../utils/logger.js';
+import { createNotification } from '../utils/notificationService.js';
 
 // Create a new group
 const createGroup = async (req, res) => {
@@ -361,7 +362,7 @@ const addGroupMember = async (req, res) => {
   try {
     const { groupId } = req.params;
     const { userId, role = 'member' } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.user.userId;
 
     const group = await Group.findById(groupId);
     if (!group) {
@@ -407,6 +408,12 @@ const addGroupMember = async (req, res) => {
 
     logger.info(`User ${userId} added to group ${groupId} by admin ${adminId}`);
 
+    try {
+      await createNotification({ type: 'group_event', from: adminId, to: userId, message: `added you to ${group.name}` });
+    } catch (notifyError) {
+      logger.error('Failed to notify added group member:', notifyError);
+    }
+
     res.json({
       success: true,
       message: 'Member added successfully',
@@ -426,7 +433,7 @@ const addGroupMember = async (req, res) => {
 const removeGroupMember = async (req, res) => {
   try {
     const { groupId, userId } = req.params;
-    const adminId = req.user.id;
+    const adminId = req.user.userId;
 
     const group = await Group.findById(groupId);
     if (!group) {
@@ -479,6 +486,12 @@ const removeGroupMember = async (req, res) => {
 
     logger.info(`User ${userId} removed from group ${groupId} by admin ${adminId}`);
 
+    try {
+      await createNotification({ type: 'group_event', from: adminId, to: userId, message: `removed you from ${group.name}` });
+    } catch (notifyError) {
+      logger.error('Failed to notify removed group member:', notifyError);
+    }
+
     res.json({
       success: true,
       message: 'Member removed successfully'
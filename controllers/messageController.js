@@ -4,13 +4,17 @@ import Group from '../models/Group.js';
 import User from '../models/User.js';
 import { validateObjectId } from '../utils/validation.js';
 import logger from '../utils/logger.js';
+import { isBlockedBetween } from '../utils/visibility.js';
+import { buildPushPayload } from '../utils/pushService.js';
+import { deliverPushToUsers } from '../utils/notificationPreferences.js';
 
 class MessageController {
   // 发送私信
   async sendPrivateMessage(req, res) {
     try {
       const { receiverId, content, type = 'text', fileUrl, fileName, fileSize } = req.body;
-      const senderId = req.user.id;
+      // authMiddleware 设置的是 userId
+      const senderId = req.user.userId;
 
       // 验证参数
       if (!receiverId || !content) {
@@ -44,6 +48,14 @@ class MessageController {
         });
       }
 
+      // 屏蔽关系中的双方不能互发私信
+      if (await isBlockedBetween(senderId, receiverId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot message this user'
+        });
+      }
+
       // 创建或获取聊天会话
       const chatSession = await ChatSession.createPrivateSession(senderId, receiverId);
 
@@ -80,6 +92,15 @@ class MessageController {
         await global.socketServer.sendNewMessage(message, chatSession.chatId);
       }
 
+      // 接收者不在线时按其通知偏好通过 Web Push 提醒
+      deliverPushToUsers('message', senderId, [receiverId], buildPushPayload({
+        title: `@${req.user.username}`,
+        body: type === 'text' ? content : 'Sent you a file',
+        url: `/messages/${chatSession.chatId}`,
+        tag: `chat-${chatSession.chatId}`,
+        data: { type: 'message', chatId: chatSession.chatId, messageId: message._id.toString() }
+      }));
+
     } catch (error) {
       logger.error('Error sending private message:', error);
       res.status(500).json({
@@ -93,7 +114,8 @@ class MessageController {
   async sendGroupMessage(req, res) {
     try {
       const { groupId, content, type = 'text', fileUrl, fileName, fileSize } = req.body;
-      const senderId = req.user.id;
+      // authMiddleware 设置的是 userId
+      const senderId = req.user.userId;
 
       // 验证参数
       if (!groupId || !content) {
@@ -119,54 +141,42 @@ class MessageController {
         });
       }
 
-      // 检查用户是否是群组成员
-      const isMember = group.members.some(member => 
-        member.userId.equals(senderId) && member.isActive
-      );
-
-      if (!isMember) {
+      // 检查用户是否是群组成员（成员记录只有 user、role、joinedAt、lastSeen）
+      if (!group.isMember(senderId)) {
         return res.status(403).json({
           success: false,
           message: 'You are not a member of this group'
         });
       }
 
-      // 检查用户是否有发送消息的权限
-      if (!group.hasPermission(senderId, 'send_message')) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to send messages in this group'
-        });
-      }
-
       // 创建或获取聊天会话
       let chatSession = await ChatSession.findOne({ chatId: `group_${groupId}` });
       
       if (!chatSession) {
-        chatSession = await ChatSession.createGroupSession(group);
+        chatSession = await ChatSession.createGroupSession(
+          groupId,
+          group.creator.toString(),
+          group.members.map(member => member.user.toString())
+        );
       }
 
       // 创建消息
       const message = await Message.createGroupMessage({
-        groupId,
-        senderId,
+        group: groupId,
+        sender: senderId,
         content,
         type,
-        fileUrl,
-        fileName,
-        fileSize
+        fileInfo: fileUrl ? { url: fileUrl, filename: fileName, size: fileSize } : undefined
       });
 
       // 更新聊天会话的最后消息
       await chatSession.updateLastMessage(message);
 
       // 增加所有成员的未读计数（除了发送者）
-      const otherMembers = group.members.filter(member => 
-        !member.userId.equals(senderId) && member.isActive
-      );
+      const otherMembers = group.members.filter(member => member.user.toString() !== senderId);
 
       for (const member of otherMembers) {
-        await chatSession.incrementUnreadCount(member.userId);
+        await chatSession.incrementUnreadCount(member.user);
       }
 
       // 增加群组消息计数
@@ -174,8 +184,8 @@ class MessageController {
 
       // 返回消息
       const populatedMessage = await Message.findById(message._id)
-        .populate('senderId', 'username avatarUrl')
-        .populate('groupId', 'name avatarUrl');
+        .populate('sender', 'username avatarname avatarimg')
+        .populate('group', 'name avatar');
 
       res.status(201).json({
         success: true,
@@ -185,9 +195,18 @@ class MessageController {
 
       // 通过WebSocket发送实时消息
       if (global.socketServer) {
-        await global.socketServer.sendNewMessage(message, chatSession.chatId);
+        global.socketServer.sendNewMessage(groupId, 'group', populatedMessage);
       }
 
+      // 不在线的成员按各自的通知偏好通过 Web Push 提醒
+      deliverPushToUsers('group_message', senderId, otherMembers.map(member => member.user), buildPushPayload({
+        title: group.name,
+        body: `${req.user.username}: ${type === 'text' ? content : 'Sent a file'}`,
+        url: `/messages/${chatSession.chatId}`,
+        tag: `chat-${chatSession.chatId}`,
+        data: { type: 'group_message', chatId: chatSession.chatId, messageId: message._id.toString() }
+      }));
+
     } catch (error) {
       logger.error('Error sending group message:', error);
       res.status(500).json({
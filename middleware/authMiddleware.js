@@ -1,9 +1,9 @@
-import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
+import { verifyAccessToken } from '../utils/tokenService.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
 
@@ -21,7 +21,8 @@ const authMiddleware = (req, res, next) => {
             logger.debug(`Auth token received`, { tokenPreview: token.substring(0, 20) + '...' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // 校验签名，并确认会话未被撤销
+        const decoded = await verifyAccessToken(token);
         
         // 验证token是否过期
         if (decoded.exp && Date.now() >= decoded.exp * 1000) {
@@ -40,11 +41,13 @@ const authMiddleware = (req, res, next) => {
         
         req.user = {
             userId: decoded.userId,
-            username: decoded.username
+            username: decoded.username,
+            sessionId: decoded.sid
         };
-        next();
     } catch (err) {
-        if (err.name === 'JsonWebTokenError') {
+        if (err.name === 'TokenError') {
+            return res.status(401).json({ message: err.message });
+        } else if (err.name === 'JsonWebTokenError') {
             return res.status(401).json({ message: 'Invalid token' });
         } else if (err.name === 'TokenExpiredError') {
             return res.status(401).json({ message: 'Token expired' });
@@ -53,6 +56,7 @@ const authMiddleware = (req, res, next) => {
             return res.status(401).json({ message: 'Token verification failed' });
         }
     }
+    next();
 };
 
 export default authMiddleware;
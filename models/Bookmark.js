@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+const bookmarkSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    collectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'BookmarkCollection', required: true },
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    // Kept so the entry can still be rendered as a tombstone after the post is deleted
+    snapshot: {
+        author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        authorUsername: { type: String },
+        postCreatedAt: { type: Date }
+    },
+    deleted: { type: Boolean, default: false }, // Original post was deleted
+    deletedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+
+bookmarkSchema.index({ owner: 1, collectionId: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ owner: 1, collectionId: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ post: 1 });
+
+export default mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+// A named, private folder of bookmarks
+const bookmarkCollectionSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    isDefault: { type: Boolean, default: false }, // Created lazily as "Saved"
+    createdAt: { type: Date, default: Date.now },
+});
+
+bookmarkCollectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// A user's data archive, built in the background and stored in OSS
+const dataExportSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+        default: 'pending'
+    },
+    // Worker claim, so only one process builds a given export
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    fileName: { type: String, default: null }, // OSS object name
+    size: { type: Number, default: null },
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Unpublished post: a plain draft, or a scheduled post waiting for publishAt
+const draftSchema = new mongoose.Schema({
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    content: { type: String, default: '', maxlength: 1000 },
+    images: [{
+        url: { type: String, required: true },
+        filename: { type: String, required: true },
+        size: { type: Number },
+        mimeType: { type: String }
+    }],
+    status: {
+        type: String,
+        enum: ['draft', 'scheduled', 'publishing', 'published', 'failed'],
+        default: 'draft'
+    },
+    publishAt: { type: Date, default: null },
+    // Scheduler claim, so only one process publishes a given draft
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    retryAt: { type: Date, default: null }, // After a failed attempt, not claimed again before this
+    publishedPost: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null },
+    publishedAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+draftSchema.index({ author: 1, status: 1, updatedAt: -1 });
+draftSchema.index({ status: 1, publishAt: 1 });
+draftSchema.index({ status: 1, lockedAt: 1 });
+
+export default mongoose.model('Draft', draftSchema);
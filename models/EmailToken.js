@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Single-use tokens sent by email; only the hash is stored
+const emailTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    purpose: { type: String, enum: ['verify_email', 'reset_password'], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    email: { type: String, required: true }, // Address the token was sent to
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+emailTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// 过期的令牌由 MongoDB 自动清理
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('EmailToken', emailTokenSchema);
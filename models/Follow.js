@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+const followSchema = new mongoose.Schema({
+    follower: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    following: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now },
+});
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1, _id: -1 }); // A user's followers
+followSchema.index({ follower: 1, createdAt: -1, _id: -1 }); // Who a user follows
+
+export default mongoose.model('Follow', followSchema);
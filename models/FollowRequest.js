@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+const followRequestSchema = new mongoose.Schema({
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Requester
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Private account
+    createdAt: { type: Date, default: Date.now },
+});
+
+followRequestSchema.index({ from: 1, to: 1 }, { unique: true });
+followRequestSchema.index({ to: 1, createdAt: -1, _id: -1 });
+followRequestSchema.index({ from: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('FollowRequest', followRequestSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Audit trail of failed sign-in attempts; also drives per-IP throttling
+// Each attempt is recorded as 'pending' before verification, then resolved or removed on success
+const loginAttemptSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null when the username is unknown
+    username: { type: String, default: '' }, // As typed
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    method: { type: String, enum: ['password', 'passkey', '2fa'], required: true },
+    reason: {
+        type: String,
+        enum: ['pending', 'unknown_user', 'invalid_password', 'invalid_passkey', 'invalid_code', 'throttled', 'locked'],
+        required: true
+    },
+    createdAt: { type: Date, default: Date.now },
+});
+
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: (parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 30) * 24 * 60 * 60 }
+);
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
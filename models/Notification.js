@@ -1,7 +1,7 @@
 import mongoose from 'mongoose';
 
 const notificationSchema = new mongoose.Schema({
-    type: { type: String, required: true }, // e.g. 'like', 'reply', 'follow', 'repost'
+    type: { type: String, required: true }, // e.g. 'like', 'reply', 'follow', 'repost', 'quote', 'mention', 'poll', 'follow_request', 'follow_accept', 'group_event', 'security_alert'
     from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' }, // optional
@@ -10,5 +10,8 @@ const notificationSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now },
 });
 
+// Grouped listing aggregates a user's notifications by (type, post)
+notificationSchema.index({ to: 1, createdAt: -1 });
+notificationSchema.index({ to: 1, type: 1, post: 1, isRead: 1 });
 
 export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Records that a deduplicated event (e.g. a like) was already notified, independent of whether it was stored
+const notificationMarkerSchema = new mongoose.Schema({
+    type: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+
+notificationMarkerSchema.index({ type: 1, from: 1, to: 1, post: 1 }, { unique: true });
+notificationMarkerSchema.index({ from: 1 });
+notificationMarkerSchema.index({ to: 1 });
+notificationMarkerSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: (parseInt(process.env.NOTIFICATION_MARKER_RETENTION_DAYS) || 90) * 24 * 60 * 60 }
+);
+
+export default mongoose.model('NotificationMarker', notificationMarkerSchema);
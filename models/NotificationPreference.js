@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Delivery channels for one notification type
+const channelSchema = new mongoose.Schema({
+    store: { type: Boolean, default: true }, // Kept in the notification inbox
+    socket: { type: Boolean, default: true }, // Pushed live over Socket.IO
+    push: { type: Boolean, default: true }, // Sent via web push when offline
+    onlyFollowing: { type: Boolean, default: false }, // Only from people I follow
+}, { _id: false });
+
+// Per-user notification settings; missing types fall back to the defaults above
+const notificationPreferenceSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    types: { type: Map, of: channelSchema, default: {} },
+    // Web pushes are held during quiet hours and sent as one batch afterwards
+    quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00' }, // HH:MM in timeZone
+        end: { type: String, default: '08:00' },
+        timeZone: { type: String, default: 'UTC' }, // IANA name, e.g. Asia/Shanghai
+    },
+    heldPushes: [{
+        _id: false,
+        type: { type: String },
+        title: String,
+        body: String,
+        url: String,
+        heldAt: { type: Date, default: Date.now },
+    }],
+    heldSince: { type: Date, default: null }, // Set while heldPushes is non-empty
+}, {
+    timestamps: true
+});
+
+notificationPreferenceSchema.index({ heldSince: 1 }, { partialFilterExpression: { heldSince: { $type: 'date' } } });
+
+export default mongoose.model('NotificationPreference', notificationPreferenceSchema);
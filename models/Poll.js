@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+const pollSchema = new mongoose.Schema({
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    options: [{
+        _id: false,
+        text: { type: String, required: true, trim: true, maxlength: 80 }
+    }],
+    multiple: { type: Boolean, default: false }, // Allow choosing more than one option
+    closesAt: { type: Date, required: true },
+    closedNotifiedAt: { type: Date, default: null }, // Set once the author has been notified
+    createdAt: { type: Date, default: Date.now },
+});
+
+pollSchema.index({ post: 1 }, { unique: true });
+pollSchema.index({ closedNotifiedAt: 1, closesAt: 1 });
+
+pollSchema.virtual('isClosed').get(function() {
+    return this.closesAt.getTime() <= Date.now();
+});
+
+export default mongoose.model('Poll', pollSchema);
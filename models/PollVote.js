@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// One document per (poll, user); changing a vote replaces `choices`,
+// so concurrent requests can never count a user twice.
+const pollVoteSchema = new mongoose.Schema({
+    poll: { type: mongoose.Schema.Types.ObjectId, ref: 'Poll', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    choices: [{ type: Number, required: true }], // Option indexes
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+});
+
+pollVoteSchema.index({ poll: 1, user: 1 }, { unique: true });
+
+export default mongoose.model('PollVote', pollVoteSchema);
@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 
 const postSchema = new mongoose.Schema({
     author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    authorPrivate: { type: Boolean, default: false }, // Mirrors author.isPrivate so listings can filter without loading every private account
     content: { type: String },
     images: [{ 
         url: { type: String, required: true },
@@ -10,9 +11,66 @@ const postSchema = new mongoose.Schema({
         mimeType: { type: String }
     }],
     parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null }, // Reply
+    root: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null }, // Thread root (null for top-level posts)
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }], // Materialized path, root first
+    depth: { type: Number, default: 0 },
+    replyCount: { type: Number, default: 0 }, // Direct replies
     createdAt: { type: Date, default: Date.now },
     repost: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null }, // Repost
+    quote: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null }, // Quote post (repost with commentary)
+    repostCount: { type: Number, default: 0 },
+    quoteCount: { type: Number, default: 0 },
     likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    hashtags: [{ type: String }], // Normalized (lowercase, without #)
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Entity offsets into content (UTF-16 indices, end exclusive) for client-side rendering
+    entities: {
+        hashtags: [{ _id: false, tag: String, start: Number, end: Number }],
+        mentions: [{
+            _id: false,
+            username: String,
+            user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            start: Number,
+            end: Number
+        }]
+    },
+    edited: { type: Boolean, default: false },
+    editedAt: { type: Date, default: null },
+    editCount: { type: Number, default: 0 }, // Number of stored revisions
+    lastEngagedAt: { type: Date, default: Date.now }, // Last like/reply/repost, drives trending refresh
+    sourceDraft: { type: mongoose.Schema.Types.ObjectId, ref: 'Draft' }, // Set for scheduled posts
+    poll: { type: mongoose.Schema.Types.ObjectId, ref: 'Poll', default: null },
 });
 
+// 新帖子继承作者当前的私密状态，之后随作者切换一起更新
+postSchema.pre('save', async function () {
+    if (!this.isNew || !this.author) return;
+    const author = await mongoose.model('User').findById(this.author).select('isPrivate').lean();
+    this.authorPrivate = Boolean(author?.isPrivate);
+});
+
+// Timeline and per-author listings page over (createdAt, _id)
+postSchema.index({ author: 1, createdAt: -1, _id: -1 });
+// A whole (sub)thread is one query over the materialized path
+postSchema.index({ ancestors: 1, depth: 1, createdAt: 1 });
+postSchema.index({ parent: 1, createdAt: 1 });
+postSchema.index({ repost: 1, author: 1 });
+// One plain repost per user per post, even under concurrent requests
+postSchema.index(
+    { author: 1, repost: 1 },
+    { unique: true, partialFilterExpression: { repost: { $type: 'objectId' } } }
+);
+postSchema.index({ quote: 1 });
+postSchema.index({ hashtags: 1, createdAt: -1, _id: -1 });
+postSchema.index({ mentions: 1, createdAt: -1 });
+postSchema.index({ lastEngagedAt: 1 });
+postSchema.index({ likes: 1, createdAt: -1 });
+// Full-text search; no stemming since posts mix languages
+postSchema.index({ content: 'text' }, { default_language: 'none', name: 'post_text' });
+// A draft can only ever become one post, even if two schedulers race
+postSchema.index(
+    { sourceDraft: 1 },
+    { unique: true, partialFilterExpression: { sourceDraft: { $type: 'objectId' } } }
+);
+
 export default mongoose.model('Post', postSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a post before each edit
+const postRevisionSchema = new mongoose.Schema({
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    revision: { type: Number, required: true }, // 0 = original content
+    content: { type: String },
+    images: [{
+        url: { type: String, required: true },
+        filename: { type: String, required: true },
+        size: { type: Number },
+        mimeType: { type: String }
+    }],
+    createdAt: { type: Date, required: true }, // When this version was written
+    replacedAt: { type: Date, default: Date.now }, // When it was superseded
+});
+
+postRevisionSchema.index({ post: 1, revision: 1 }, { unique: true });
+
+export default mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A browser's web push subscription; removed with its session or when the push service reports it gone
+const pushSubscriptionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null }, // Session that subscribed
+    endpoint: { type: String, required: true, unique: true },
+    keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true },
+    },
+    expirationTime: { type: Date, default: null },
+    userAgent: { type: String, default: '' },
+    lastSuccessAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+pushSubscriptionSchema.index({ user: 1, createdAt: -1 });
+pushSubscriptionSchema.index({ session: 1 });
+
+export default mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A signed-in device: holds the current refresh token and is checked on every authenticated request
+const sessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true }, // sha256 of the current refresh token secret
+    previousRefreshTokenHashes: { type: [String], default: [], select: false }, // Rotated-out secrets, for reuse detection
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, enum: ['logout', 'revoked', 'reuse', 'password_reset', null], default: null },
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+// 过期的会话由 MongoDB 自动清理
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
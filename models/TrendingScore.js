@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Precomputed trending rank for a post or hashtag within a time window.
+// `score` is time-invariant (log engagement + createdAt / tau), so entries only
+// need rewriting when their engagement changes, not as time passes.
+const trendingScoreSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['post', 'tag'], required: true },
+    key: { type: String, required: true }, // Post id or normalized tag
+    window: { type: String, enum: ['1h', '24h', '7d'], required: true },
+    score: { type: Number, required: true },
+    engagement: { type: Number, default: 0 },
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' }, // kind = post
+    hashtags: [{ type: String }], // kind = post, used to recompute tag scores
+    postCount: { type: Number, default: 0 }, // kind = tag
+    createdAt: { type: Date }, // kind = post: when the post was published
+    updatedAt: { type: Date, default: Date.now },
+});
+
+trendingScoreSchema.index({ kind: 1, key: 1, window: 1 }, { unique: true });
+trendingScoreSchema.index({ kind: 1, window: 1, score: -1 });
+trendingScoreSchema.index({ kind: 1, window: 1, hashtags: 1 });
+trendingScoreSchema.index({ kind: 1, window: 1, createdAt: 1 });
+
+export default mongoose.model('TrendingScore', trendingScoreSchema);
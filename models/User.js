@@ -2,13 +2,47 @@ import mongoose from 'mongoose';
 
 const userSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
+    usernameChangedAt: { type: Date, default: null },
     password: { type: String, required: true },
+    passwordChangedAt: { type: Date, default: null },
+    // Sign-in throttling: failures back off exponentially, then lock the account for a while
+    failedLoginCount: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date, default: null },
+    loginLockedUntil: { type: Date, default: null },
+    loginRetryAt: { type: Date, default: null }, // Next attempt allowed; reserved before the password is checked
+    // Optional; only a verified address can receive password resets
+    email: { type: String, lowercase: true, trim: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
     avatarname: { type: String, default: '' },
     avatarimg: { type: String, default: '' },
     bio: { type: String, default: '' },
     registertime: { type: Date, default: Date.now },
-    followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Follow graph lives in the Follow collection; counters are kept in sync with it
+    followersCount: { type: Number, default: 0 },
+    followingCount: { type: Number, default: 0 },
+    blocked: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // Hidden both ways, no interaction
+    muted: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // Hidden from this user only
+    isPrivate: { type: Boolean, default: false }, // Follows need approval, posts visible to followers only
+    // TOTP two-factor authentication; secrets and recovery code hashes are never selected by default
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date, default: null },
+        secret: { type: String, default: null, select: false }, // Base32
+        pendingSecret: { type: String, default: null, select: false }, // Set up but not yet confirmed
+        recoveryCodes: { type: [String], default: [], select: false }, // sha256 of unused one-time codes
+        lastUsedStep: { type: Number, default: 0, select: false }, // Rejects replay of an accepted code
+    },
+    // Periodic summary of unread notifications
+    notificationDigest: {
+        frequency: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+        nextAt: { type: Date, default: null },
+        lastSentAt: { type: Date, default: null },
+    },
+    // Account deletion: purged after the grace period unless restored
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null },
+    deletionLockedAt: { type: Date, default: null },
     badges: {
         type: [String],
         enum: ['verified', 'soramidev'],
@@ -16,5 +50,16 @@ const userSchema = new mongoose.Schema({
     },
 });
 
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+userSchema.index({ blocked: 1 });
+userSchema.index({ muted: 1 });
+userSchema.index({ isPrivate: 1 });
+userSchema.index({ 'notificationDigest.nextAt': 1 }, { partialFilterExpression: { 'notificationDigest.nextAt': { $type: 'date' } } });
+userSchema.index({ deletionScheduledFor: 1 }, { partialFilterExpression: { deletionScheduledFor: { $type: 'date' } } });
+userSchema.index(
+    { username: 'text', avatarname: 'text', bio: 'text' },
+    { weights: { username: 10, avatarname: 5, bio: 1 }, default_language: 'none', name: 'user_text' }
+);
+
 const User = mongoose.model('User', userSchema);
 export default User;
\ No newline at end of file
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Previous handles: resolve to the current account, and stay reserved for a while after a change
+const usernameHistorySchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    username: { type: String, required: true }, // The old handle
+    changedAt: { type: Date, default: Date.now },
+    reservedUntil: { type: Date, required: true },
+});
+
+usernameHistorySchema.index({ username: 1, changedAt: -1 });
+usernameHistorySchema.index({ user: 1, changedAt: -1 });
+
+export default mongoose.model('UsernameHistory', usernameHistorySchema);
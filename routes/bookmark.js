@@ -0,0 +1,337 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Bookmark from '../models/Bookmark.js';
+import BookmarkCollection from '../models/BookmarkCollection.js';
+import Post from '../models/Post.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import validateObjectId from '../middleware/validateObjectId.js';
+import { buildCursorFilter, paginateResults } from '../utils/pagination.js';
+import { canViewAuthorPosts, getHiddenAmong, isBlockedBetween, isPostHidden } from '../utils/visibility.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const DEFAULT_COLLECTION_NAME = 'Saved';
+const MAX_COLLECTIONS = 100;
+
+// Helper: get (or lazily create) the user's default collection
+const getDefaultCollection = async (userId) => {
+    try {
+        return await BookmarkCollection.findOneAndUpdate(
+            { owner: userId, isDefault: true },
+            { $setOnInsert: { owner: userId, name: DEFAULT_COLLECTION_NAME, isDefault: true } },
+            { upsert: true, new: true }
+        );
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        // 保留默认名称之前已有同名收藏夹：直接将其作为默认收藏夹
+        const existing = await BookmarkCollection.findOneAndUpdate(
+            { owner: userId, name: DEFAULT_COLLECTION_NAME },
+            { $set: { isDefault: true } },
+            { new: true }
+        );
+        return existing || BookmarkCollection.findOne({ owner: userId, isDefault: true });
+    }
+};
+
+const isReservedCollectionName = (name) =>
+    name.trim().toLowerCase() === DEFAULT_COLLECTION_NAME.toLowerCase();
+
+// Helper: validate a collection name, returns an error message or null
+const getCollectionNameError = (name) => {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return 'Collection name is required';
+    }
+    if (name.trim().length > 50) {
+        return 'Collection name too long (max 50 characters)';
+    }
+    return null;
+};
+
+// List collections with bookmark counts
+router.get('/collections', async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        await getDefaultCollection(userId);
+
+        const [collections, counts] = await Promise.all([
+            BookmarkCollection.find({ owner: userId }).sort({ isDefault: -1, createdAt: 1 }),
+            Bookmark.aggregate([
+                { $match: { owner: new mongoose.Types.ObjectId(userId) } },
+                { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+        res.json({
+            collections: collections.map(collection => ({
+                ...collection.toObject(),
+                bookmarkCount: countById.get(collection._id.toString()) || 0
+            }))
+        });
+    } catch (err) {
+        console.error('Fetch Bookmark Collections Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create collection
+router.post('/collections', async (req, res) => {
+    const { name } = req.body;
+    const userId = req.user.userId;
+
+    const nameError = getCollectionNameError(name);
+    if (nameError) {
+        return res.status(400).json({ message: nameError });
+    }
+    if (isReservedCollectionName(name)) {
+        return res.status(400).json({ message: `"${DEFAULT_COLLECTION_NAME}" is reserved for the default collection` });
+    }
+
+    try {
+        const count = await BookmarkCollection.countDocuments({ owner: userId });
+        if (count >= MAX_COLLECTIONS) {
+            return res.status(400).json({ message: `Maximum ${MAX_COLLECTIONS} collections allowed` });
+        }
+
+        const collection = await BookmarkCollection.create({ owner: userId, name: name.trim() });
+
+        res.status(201).json({ message: 'Collection created successfully', collection });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: 'Collection name already exists' });
+        }
+        console.error('Create Bookmark Collection Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Rename collection
+router.patch('/collections/:collectionId', validateObjectId('collectionId'), async (req, res) => {
+    const { name } = req.body;
+    const { collectionId } = req.params;
+    const userId = req.user.userId;
+
+    const nameError = getCollectionNameError(name);
+    if (nameError) {
+        return res.status(400).json({ message: nameError });
+    }
+
+    try {
+        // 只有默认收藏夹可以使用保留名称
+        if (isReservedCollectionName(name)) {
+            const target = await BookmarkCollection.findOne({ _id: collectionId, owner: userId }).select('isDefault');
+            if (target && !target.isDefault) {
+                return res.status(400).json({ message: `"${DEFAULT_COLLECTION_NAME}" is reserved for the default collection` });
+            }
+        }
+
+        const collection = await BookmarkCollection.findOneAndUpdate(
+            { _id: collectionId, owner: userId },
+            { name: name.trim() },
+            { new: true }
+        );
+
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found' });
+        }
+
+        res.json({ message: 'Collection renamed successfully', collection });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: 'Collection name already exists' });
+        }
+        console.error('Rename Bookmark Collection Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete collection and its bookmarks
+router.delete('/collections/:collectionId', validateObjectId('collectionId'), async (req, res) => {
+    const { collectionId } = req.params;
+    const userId = req.user.userId;
+
+    try {
+        const collection = await BookmarkCollection.findOne({ _id: collectionId, owner: userId });
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found' });
+        }
+
+        if (collection.isDefault) {
+            return res.status(400).json({ message: 'The default collection cannot be deleted' });
+        }
+
+        await Bookmark.deleteMany({ owner: userId, collectionId: collection._id });
+        await collection.deleteOne();
+
+        res.json({ message: 'Collection deleted successfully' });
+    } catch (err) {
+        console.error('Delete Bookmark Collection Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List bookmarks, optionally within one collection
+router.get('/', async (req, res) => {
+    const { collectionId, cursor, limit = 20 } = req.query;
+    const userId = req.user.userId;
+
+    if (collectionId !== undefined && !mongoose.Types.ObjectId.isValid(collectionId)) {
+        return res.status(400).json({ message: 'Invalid collectionId' });
+    }
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 100)' });
+    }
+
+    let cursorFilter = {};
+    if (cursor !== undefined) {
+        cursorFilter = buildCursorFilter(cursor);
+        if (!cursorFilter) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+    }
+
+    try {
+        const query = { owner: userId, ...cursorFilter };
+        if (collectionId) {
+            const collection = await BookmarkCollection.exists({ _id: collectionId, owner: userId });
+            if (!collection) {
+                return res.status(404).json({ message: 'Collection not found' });
+            }
+            query.collectionId = collectionId;
+        }
+
+        const bookmarks = await Bookmark.find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(parsedLimit + 1)
+            .populate({
+                path: 'post',
+                populate: [
+                    { path: 'author', select: 'username avatarname avatarimg badges' },
+                    {
+                        path: 'repost',
+                        populate: { path: 'author', select: 'username avatarname avatarimg badges' }
+                    },
+                    {
+                        path: 'quote',
+                        populate: { path: 'author', select: 'username avatarname avatarimg badges' }
+                    }
+                ]
+            });
+
+        const { items, nextCursor, hasMore } = paginateResults(bookmarks, parsedLimit);
+
+        // 收藏之后作者屏蔽了当前用户或设为私密时，不再返回帖子内容
+        const authorIds = items.flatMap(({ post }) => [post?.author, post?.repost?.author, post?.quote?.author])
+            .filter(Boolean)
+            .map(author => author._id || author);
+        const hidden = await getHiddenAmong(userId, authorIds);
+
+        // 原帖已删除时返回墓碑条目，而不是悬空引用
+        const formatted = items.map(bookmark => {
+            const obj = bookmark.toObject();
+            if (obj.deleted || !obj.post || !obj.post.author) {
+                return { ...obj, post: null, deleted: true };
+            }
+            if (isPostHidden(obj.post, hidden)) {
+                return { ...obj, post: null, unavailable: true };
+            }
+            return obj;
+        });
+
+        res.json({ bookmarks: formatted, nextCursor, hasMore });
+    } catch (err) {
+        console.error('Fetch Bookmarks Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Bookmark a post
+router.post('/', async (req, res) => {
+    const { postId, collectionId } = req.body;
+    const userId = req.user.userId;
+
+    if (!mongoose.isValidObjectId(postId)) {
+        return res.status(400).json({ message: 'Invalid post ID' });
+    }
+
+    if (collectionId !== undefined && !mongoose.isValidObjectId(collectionId)) {
+        return res.status(400).json({ message: 'Invalid collectionId' });
+    }
+
+    try {
+        const post = await Post.findById(postId).populate('author', 'username');
+        if (!post || !post.author) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        // 与查看帖子相同的可见性规则
+        if (await isBlockedBetween(userId, post.author._id)) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        if (!(await canViewAuthorPosts(userId, post.author._id))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
+
+        const collection = collectionId
+            ? await BookmarkCollection.findOne({ _id: collectionId, owner: userId })
+            : await getDefaultCollection(userId);
+
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found' });
+        }
+
+        const bookmark = await Bookmark.create({
+            owner: userId,
+            collectionId: collection._id,
+            post: post._id,
+            snapshot: {
+                author: post.author._id,
+                authorUsername: post.author.username,
+                postCreatedAt: post.createdAt
+            }
+        });
+
+        res.status(201).json({ message: 'Bookmarked successfully', bookmark });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: 'Post already in this collection' });
+        }
+        console.error('Create Bookmark Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Remove a post from one collection, or from all collections
+router.delete('/post/:postId', validateObjectId('postId'), async (req, res) => {
+    const { postId } = req.params;
+    const { collectionId } = req.query;
+    const userId = req.user.userId;
+
+    if (collectionId !== undefined && !mongoose.Types.ObjectId.isValid(collectionId)) {
+        return res.status(400).json({ message: 'Invalid collectionId' });
+    }
+
+    try {
+        const query = { owner: userId, post: postId };
+        if (collectionId) query.collectionId = collectionId;
+
+        const result = await Bookmark.deleteMany(query);
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        res.json({ message: 'Bookmark removed successfully', removed: result.deletedCount });
+    } catch (err) {
+        console.error('Delete Bookmark Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
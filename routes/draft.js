@@ -0,0 +1,215 @@
+import express from 'express';
+import Draft from '../models/Draft.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import validateObjectId from '../middleware/validateObjectId.js';
+import { getImagesError } from '../utils/postPublisher.js';
+import { getPublishAtError, publishDraft } from '../utils/postScheduler.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const MAX_DRAFTS = 100;
+// 只有尚未发布的草稿可以修改
+const EDITABLE_STATUSES = ['draft', 'scheduled', 'failed'];
+
+// Helper: validate draft content, returns an error message or null
+const getContentError = (content) => {
+    if (content === undefined) return null;
+    if (typeof content !== 'string') return 'Draft content must be a string';
+    if (content.length > 1000) return 'Draft content too long (max 1000 characters)';
+    return null;
+};
+
+// List own drafts and scheduled posts
+router.get('/', async (req, res) => {
+    const { status } = req.query;
+    const userId = req.user.userId;
+
+    const statuses = status ? String(status).split(',') : EDITABLE_STATUSES;
+    if (statuses.some(s => !Draft.schema.path('status').enumValues.includes(s))) {
+        return res.status(400).json({ message: 'Invalid status filter' });
+    }
+
+    try {
+        const drafts = await Draft.find({ author: userId, status: { $in: statuses } })
+            .sort({ updatedAt: -1 })
+            .limit(MAX_DRAFTS);
+
+        res.json({ drafts });
+    } catch (err) {
+        console.error('Fetch Drafts Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create draft (scheduled if publishAt is given)
+router.post('/', async (req, res) => {
+    const { content = '', images, publishAt } = req.body;
+    const userId = req.user.userId;
+
+    const contentError = getContentError(content) || getImagesError(images);
+    if (contentError) {
+        return res.status(400).json({ message: contentError });
+    }
+
+    if (publishAt !== undefined) {
+        const publishAtError = getPublishAtError(publishAt);
+        if (publishAtError) {
+            return res.status(400).json({ message: publishAtError });
+        }
+        if (!content.trim()) {
+            return res.status(400).json({ message: 'Post content is required to schedule' });
+        }
+    }
+
+    try {
+        const count = await Draft.countDocuments({ author: userId, status: { $in: EDITABLE_STATUSES } });
+        if (count >= MAX_DRAFTS) {
+            return res.status(400).json({ message: `Maximum ${MAX_DRAFTS} drafts allowed` });
+        }
+
+        const draft = await Draft.create({
+            author: userId,
+            content,
+            images: images || [],
+            status: publishAt !== undefined ? 'scheduled' : 'draft',
+            publishAt: publishAt !== undefined ? new Date(publishAt) : null
+        });
+
+        res.status(201).json({ message: 'Draft saved successfully', draft });
+    } catch (err) {
+        console.error('Create Draft Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Update draft; publishAt schedules it, publishAt: null turns it back into a plain draft
+router.put('/:draftId', validateObjectId('draftId'), async (req, res) => {
+    const { content, images, publishAt } = req.body;
+    const { draftId } = req.params;
+    const userId = req.user.userId;
+
+    const contentError = getContentError(content) || getImagesError(images);
+    if (contentError) {
+        return res.status(400).json({ message: contentError });
+    }
+
+    if (publishAt !== undefined && publishAt !== null) {
+        const publishAtError = getPublishAtError(publishAt);
+        if (publishAtError) {
+            return res.status(400).json({ message: publishAtError });
+        }
+    }
+
+    try {
+        const draft = await Draft.findOne({ _id: draftId, author: userId });
+        if (!draft) {
+            return res.status(404).json({ message: 'Draft not found' });
+        }
+
+        const update = {};
+        if (content !== undefined) update.content = content;
+        if (images !== undefined) update.images = images;
+        if (publishAt === null) {
+            update.status = 'draft';
+            update.publishAt = null;
+        } else if (publishAt !== undefined) {
+            update.status = 'scheduled';
+            update.publishAt = new Date(publishAt);
+            update.attempts = 0;
+            update.lastError = null;
+            update.retryAt = null;
+        }
+
+        // 按更新后的状态检查：已定时的草稿清空内容同样不允许
+        const nextContent = update.content !== undefined ? update.content : draft.content;
+        const nextStatus = update.status ?? draft.status;
+        if (nextStatus === 'scheduled' && !(nextContent || '').trim()) {
+            return res.status(400).json({ message: 'Post content is required to schedule' });
+        }
+
+        // 条件更新：调度器已认领的草稿不能再修改
+        const updatedDraft = await Draft.findOneAndUpdate(
+            { _id: draft._id, status: { $in: EDITABLE_STATUSES } },
+            { $set: update },
+            { new: true }
+        );
+
+        if (!updatedDraft) {
+            return res.status(409).json({ message: 'Draft is being published or was already published' });
+        }
+
+        res.json({ message: 'Draft updated successfully', draft: updatedDraft });
+    } catch (err) {
+        console.error('Update Draft Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Publish a draft now
+router.post('/:draftId/publish', validateObjectId('draftId'), async (req, res) => {
+    const { draftId } = req.params;
+    const userId = req.user.userId;
+
+    try {
+        // 与调度器使用相同的认领方式，避免重复发布
+        const draft = await Draft.findOneAndUpdate(
+            { _id: draftId, author: userId, status: { $in: EDITABLE_STATUSES } },
+            { $set: { status: 'publishing', lockedAt: new Date(), lockedBy: `request:${userId}` }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+
+        if (!draft) {
+            return res.status(404).json({ message: 'Draft not found or already published' });
+        }
+
+        if (!draft.content || !draft.content.trim()) {
+            await Draft.updateOne({ _id: draft._id }, { $set: { status: 'draft', lockedAt: null, lockedBy: null } });
+            return res.status(400).json({ message: 'Post content is required' });
+        }
+
+        let post;
+        try {
+            post = await publishDraft(draft);
+        } catch (publishErr) {
+            await Draft.updateOne(
+                { _id: draft._id },
+                { $set: { status: 'failed', lockedAt: null, lockedBy: null, lastError: publishErr.message } }
+            );
+            throw publishErr;
+        }
+
+        const populatedPost = await post.populate('author', 'username avatarname avatarimg badges');
+
+        res.json({ message: 'Post created successfully', post: populatedPost });
+    } catch (err) {
+        console.error('Publish Draft Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete draft (also cancels a scheduled post)
+router.delete('/:draftId', validateObjectId('draftId'), async (req, res) => {
+    const { draftId } = req.params;
+    const userId = req.user.userId;
+
+    try {
+        const result = await Draft.deleteOne({
+            _id: draftId,
+            author: userId,
+            status: { $in: EDITABLE_STATUSES }
+        });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ message: 'Draft not found or already published' });
+        }
+
+        res.json({ message: 'Draft deleted successfully' });
+    } catch (err) {
+        console.error('Delete Draft Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
@@ -1,61 +1,135 @@
 import express from 'express';
 import Notification from '../models/Notification.js';
+import User from '../models/User.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import {
+    getUnreadCount,
+    emitUnreadCount,
+    getNotificationGroups,
+    isValidGroupCursor,
+    parseGroupKey
+} from '../utils/notificationService.js';
+import { getHiddenAuthorIds } from '../utils/visibility.js';
+import { DIGEST_PERIODS, getNextDigestAt } from '../utils/notificationDigest.js';
+import { getPreferences, mergePreferenceUpdate, savePreferences } from '../utils/notificationPreferences.js';
 
 const router = express.Router();
 
-router.post('/create', authMiddleware, async (req, res) => {
-    const { type, to, post, message } = req.body;
+// Notifications are only created server-side by the actions that cause them (see utils/notificationService.js)
 
-    if (!type || !to) {
-        return res.status(400).json({ success: false, message: 'Missing required fields: type or to' });
+// Every notification, newest first (notifications from blocked or muted users are left out)
+router.get('/me', authMiddleware, async (req, res) => {
+    try {
+        const hidden = await getHiddenAuthorIds(req.user.userId);
+        const notifications = await Notification.find({ to: req.user.userId, from: { $nin: hidden } })
+            .sort({ createdAt: -1 })
+            .populate('from', 'username avatarname avatarimg')
+            .populate('post', 'content');
+
+        res.json({ success: true, notifications });
+    } catch (err) {
+        console.error('Failed to fetch notifications:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
-    
-    // 验证通知类型
-    const validTypes = ['like', 'reply', 'follow', 'repost', 'message'];
-    if (!validTypes.includes(type)) {
-        return res.status(400).json({ success: false, message: 'Invalid notification type' });
+});
+
+// Likes, reposts, replies etc. grouped by (type, post), other notifications one per entry; newest activity first
+router.get('/groups', authMiddleware, async (req, res) => {
+    const { cursor, limit = 20, unread } = req.query;
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 50) {
+        return res.status(400).json({ success: false, message: 'Invalid limit (must be between 1 and 50)' });
     }
-    
-    // 验证接收者ID格式
-    if (typeof to !== 'string' || to.trim().length === 0) {
-        return res.status(400).json({ success: false, message: 'Valid recipient ID is required' });
+
+    if (cursor !== undefined && !isValidGroupCursor(cursor)) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
     }
 
     try {
-        const notification = await Notification.create({
-            type,
-            from: req.user.userId,
-            to,
-            post,
-            message,
+        const page = await getNotificationGroups(req.user.userId, {
+            cursor,
+            limit: parsedLimit,
+            unreadOnly: unread === 'true'
         });
-        res.status(201).json({ success: true, notification });
+
+        res.json({ success: true, ...page });
     } catch (err) {
-        console.error('Failed to create notification:', err);
+        console.error('Failed to fetch notification groups:', err);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-router.get('/me', authMiddleware, async (req, res) => {
+router.get('/unread-count', authMiddleware, async (req, res) => {
     try {
-        const notifications = await Notification.find({ to: req.user.userId })
-            .sort({ createdAt: -1 })
-            .populate('from', 'username avatarname avatarimg')
-            .populate('post', 'content');
+        const count = await getUnreadCount(req.user.userId);
+        res.json({ success: true, count });
+    } catch (err) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
 
-        res.json({ success: true, notifications });
+// Digest settings: off, daily or weekly summary of unread activity
+router.get('/digest', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('notificationDigest');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        res.json({ success: true, digest: user.notificationDigest });
     } catch (err) {
-        console.error('Failed to fetch notifications:', err);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-router.get('/unread-count', authMiddleware, async (req, res) => {
+router.put('/digest', authMiddleware, async (req, res) => {
+    const { frequency } = req.body || {};
+
+    if (frequency !== 'off' && !DIGEST_PERIODS[frequency]) {
+        return res.status(400).json({ success: false, message: 'Invalid frequency (must be off, daily or weekly)' });
+    }
+
     try {
-        const count = await Notification.countDocuments({ to: req.user.userId, isRead: false });
-        res.json({ success: true, count });
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            {
+                $set: {
+                    'notificationDigest.frequency': frequency,
+                    'notificationDigest.nextAt': getNextDigestAt(frequency)
+                }
+            },
+            { new: true }
+        ).select('notificationDigest');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        res.json({ success: true, digest: user.notificationDigest });
     } catch (err) {
+        console.error('Failed to update digest settings:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Per-type delivery channels and quiet hours
+router.get('/preferences', authMiddleware, async (req, res) => {
+    try {
+        res.json({ success: true, preferences: await getPreferences(req.user.userId) });
+    } catch (err) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Partial update, e.g. { types: { like: { push: false } }, quietHours: { enabled: true, timeZone: 'Asia/Tokyo' } }
+router.put('/preferences', authMiddleware, async (req, res) => {
+    try {
+        const current = await getPreferences(req.user.userId);
+        const { value, error } = mergePreferenceUpdate(current, req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        res.json({ success: true, preferences: await savePreferences(req.user.userId, value) });
+    } catch (err) {
+        console.error('Failed to update notification preferences:', err);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
@@ -71,6 +145,27 @@ router.patch('/read/:id', authMiddleware, async (req, res) => {
             return res.status(404).json({ success: false, message: 'Notification not found' });
         }
         res.json({ success: true, message: 'Notification marked as read' });
+        // 同步其他设备上的角标
+        emitUnreadCount(req.user.userId);
+    } catch (err) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Mark every notification in a group as read
+router.patch('/groups/:groupKey/read', authMiddleware, async (req, res) => {
+    const group = parseGroupKey(req.params.groupKey);
+    if (!group) {
+        return res.status(400).json({ success: false, message: 'Invalid group key' });
+    }
+
+    try {
+        const result = await Notification.updateMany(
+            { to: req.user.userId, type: group.type, post: group.post, isRead: false },
+            { isRead: true }
+        );
+        res.json({ success: true, message: 'Group marked as read', updated: result.modifiedCount });
+        if (result.modifiedCount > 0) emitUnreadCount(req.user.userId);
     } catch (err) {
         res.status(500).json({ success: false, message: 'Server error' });
     }
@@ -83,6 +178,7 @@ router.patch('/mark-all-read', authMiddleware, async (req, res) => {
             { isRead: true }
         );
         res.json({ success: true, message: 'All notifications marked as read' });
+        emitUnreadCount(req.user.userId);
     } catch (err) {
         res.status(500).json({ success: false, message: 'Server error' });
     }
@@ -3,6 +3,8 @@ import Passkey from '../models/Passkey.js';
 import User from '../models/User.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import logger from '../utils/logger.js';
+import { createSession } from '../utils/tokenService.js';
+import { reserveLoginAttempt, recordLoginFailure, recordLoginSuccess, sendLoginBlocked } from '../utils/loginGuard.js';
 import {
     generatePasskeyRegistrationOptions,
     verifyPasskeyRegistration,
@@ -256,6 +258,13 @@ router.post('/verify-authentication', async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
+        // 与密码登录共用失败计数和锁定
+        const attempt = await reserveLoginAttempt(req, { user, method: 'passkey' });
+        if (attempt.blocked) {
+            challenges.delete(challenge);
+            return sendLoginBlocked(res, attempt.blocked);
+        }
+
         // 查找对应的passkey
         const passkey = await Passkey.findOne({ 
             userId, 
@@ -264,32 +273,36 @@ router.post('/verify-authentication', async (req, res) => {
 
         if (!passkey) {
             challenges.delete(challenge);
+            await recordLoginFailure(attempt, 'invalid_passkey');
             return res.status(400).json({ message: 'Invalid passkey.' });
         }
 
         // 验证认证响应
-        // 使用存储的原始挑战进行验证
-        const verification = await verifyPasskeyAuthentication(
-            response,
-            challenge, // 使用存储的原始挑战
-            rpOrigin,
-            rpID,
-            passkey
-        );
+        // 使用存储的原始挑战进行验证；签名无效等错误视为验证失败
+        let verification;
+        try {
+            verification = await verifyPasskeyAuthentication(
+                response,
+                challenge, // 使用存储的原始挑战
+                rpOrigin,
+                rpID,
+                passkey
+            );
+        } catch (error) {
+            logger.warn('Passkey authentication rejected', { username, error: error.message });
+            verification = { verified: false };
+        }
 
         if (verification.verified) {
+            await recordLoginSuccess(attempt);
+
             // 更新计数器
             passkey.counter = verification.authenticationInfo.newCounter;
             passkey.lastUsed = new Date();
             await passkey.save();
 
-            // 生成JWT token
-            const jwt = (await import('jsonwebtoken')).default;
-            const token = jwt.sign(
-                { userId: user._id, username: user.username },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+            // 创建会话，签发访问令牌和刷新令牌（passkey 本身即满足两步验证）
+            const { token, refreshToken } = await createSession(user, req);
 
             // 清理挑战
             challenges.delete(challenge);
@@ -302,6 +315,7 @@ router.post('/verify-authentication', async (req, res) => {
                 message: 'Authentication successful.',
                 verified: true,
                 token,
+                refreshToken,
                 user: {
                     id: user._id,
                     username: user.username,
@@ -312,6 +326,8 @@ router.post('/verify-authentication', async (req, res) => {
                 }
             });
         } else {
+            challenges.delete(challenge);
+            await recordLoginFailure(attempt, 'invalid_passkey');
             res.status(400).json({ 
                 message: 'Passkey authentication verification failed.',
                 verified: false 
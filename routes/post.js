@@ -1,47 +1,75 @@
 import express from 'express';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
-import jwt from 'jsonwebtoken';
+import PostRevision from '../models/PostRevision.js';
+import Bookmark from '../models/Bookmark.js';
+import Draft from '../models/Draft.js';
+import Poll from '../models/Poll.js';
+import PollVote from '../models/PollVote.js';
 import mongoose from 'mongoose';
 import authMiddleware from '../middleware/authMiddleware.js';
+import validateObjectId from '../middleware/validateObjectId.js';
+import { buildCursorFilter, paginateResults } from '../utils/pagination.js';
+import { normalizeTag, TAG_PATTERN } from '../utils/postEntities.js';
+import {
+    getImagesError,
+    resolveEntities,
+    notifyMentions,
+    publishPost
+} from '../utils/postPublisher.js';
+import { getPublishAtError } from '../utils/postScheduler.js';
+import { parsePollInput, getPollView, castVote } from '../utils/pollService.js';
+import {
+    getTrendingPosts,
+    getTrendingTags,
+    removePostsFromTrending,
+    TRENDING_WINDOWS
+} from '../utils/trendingService.js';
+import {
+    buildThread,
+    findDescendants,
+    getThreadPosition,
+    DEFAULT_THREAD_DEPTH,
+    MAX_THREAD_DEPTH
+} from '../utils/postThread.js';
+import {
+    getHiddenAuthorIds,
+    getPrivateAuthorFilter,
+    filterVisiblePosts,
+    isBlockedBetween,
+    canViewAuthorPosts
+} from '../utils/visibility.js';
+import { getFollowingIds } from '../utils/followService.js';
+import { createNotification, retractNotifications } from '../utils/notificationService.js';
+import { escapeRegex } from '../utils/validation.js';
 
 const router = express.Router();
 
+const POST_EDIT_WINDOW_MS = (parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 30) * 60 * 1000;
+
 router.use(authMiddleware);
 
-const getTokenFromHeader = (req) => {
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        return authHeader.split(' ')[1];
-    }
-    return null;
+// Helper: attach like info for the current user
+const formatPost = (post, userId) => {
+    const obj = typeof post.toObject === 'function' ? post.toObject() : post;
+    return {
+        ...obj,
+        likeCount: obj.likes?.length || 0,
+        isLiked: userId ? (obj.likes || []).some(id => id.toString() === userId) : false,
+    };
 };
 
-// Helper: Recursively get replies
-async function getAllReplies(postId) {
-    const directReplies = await Post.find({ parent: postId })
-        .sort({ createdAt: 1 })
-        .populate('author', 'username avatarname avatarimg badges')
-        .populate('repost')
-
-    // 过滤掉无效的回复（作者不存在的）
-    const validReplies = directReplies.filter(reply => reply && reply.author);
-    const allReplies = [...validReplies];
-
-    for (const reply of validReplies) {
-        const subReplies = await getAllReplies(reply._id);
-        allReplies.push(...subReplies);
-    }
-
-    return allReplies;
-}
+// Helper: query conditions for authors hidden from the current user
+// ids: blocked either way or muted; privacy: goes in $and, drops private authors the user doesn't follow
+const loadHiddenAuthors = async (userId) => {
+    const [ids, privacy] = await Promise.all([getHiddenAuthorIds(userId), getPrivateAuthorFilter(userId)]);
+    return { ids, set: new Set(ids.map(id => id.toString())), privacy };
+};
 
-// Create post
+// Create post (or schedule it when publishAt is given)
 router.post('/create', async (req, res) => {
-    const token = getTokenFromHeader(req);
-    const { content, images } = req.body;
-
-    if (!token) return res.status(401).json({ message: 'Missing token' });
+    const { userId, username } = req.user;
+    const { content, images, publishAt, poll } = req.body;
     
     // 验证内容
     if (!content || typeof content !== 'string' || content.trim().length === 0) {
@@ -53,28 +81,57 @@ router.post('/create', async (req, res) => {
     }
 
     // 验证图片数据
-    if (images && Array.isArray(images)) {
-        if (images.length > 9) {
-            return res.status(400).json({ message: 'Maximum 9 images allowed per post' });
+    const imagesError = getImagesError(images);
+    if (imagesError) {
+        return res.status(400).json({ message: imagesError });
+    }
+
+    // 验证定时发布时间
+    if (publishAt !== undefined) {
+        const publishAtError = getPublishAtError(publishAt);
+        if (publishAtError) {
+            return res.status(400).json({ message: publishAtError });
         }
-        
-        for (const image of images) {
-            if (!image.url || !image.filename) {
-                return res.status(400).json({ message: 'Invalid image data' });
-            }
+    }
+
+    // 验证投票
+    let pollInput = null;
+    if (poll !== undefined && poll !== null) {
+        if (publishAt !== undefined) {
+            return res.status(400).json({ message: 'Posts with polls cannot be scheduled' });
         }
+        const { error, value } = parsePollInput(poll);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        pollInput = value;
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const newPost = new Post({ 
-            content, 
-            author: decoded.userId,
-            images: images || []
+        if (publishAt !== undefined) {
+            const draft = await Draft.create({
+                author: userId,
+                content,
+                images: images || [],
+                status: 'scheduled',
+                publishAt: new Date(publishAt)
+            });
+
+            return res.status(202).json({ message: 'Post scheduled successfully', draft });
+        }
+
+        const newPost = await publishPost({
+            authorId: userId,
+            authorUsername: username,
+            content,
+            images: images || [],
+            poll: pollInput
         });
-        await newPost.save();
 
-        const populatedPost = await newPost.populate('author', 'username avatarname avatarimg badges')
+        const populatedPost = await newPost.populate([
+            { path: 'author', select: 'username avatarname avatarimg badges' },
+            { path: 'poll', select: 'options multiple closesAt' }
+        ]);
 
         res.json({ message: 'Post created successfully', post: populatedPost });
 
@@ -88,7 +145,9 @@ router.post('/create', async (req, res) => {
 // Get all posts
 router.get('/all', async (req, res) => {
     try {
-        const posts = await Post.find()
+        const hidden = await loadHiddenAuthors(req.user.userId);
+
+        const posts = await Post.find({ author: { $nin: hidden.ids }, $and: [hidden.privacy] })
             .sort({ createdAt: -1 })
             .populate('author', 'username avatarname avatarimg badges')
             .populate({
@@ -97,10 +156,17 @@ router.get('/all', async (req, res) => {
                     path: 'author',
                     select: 'username avatarname avatarimg badges',
                 }
+            })
+            .populate({
+                path: 'quote',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
             });
 
         // 过滤掉已删除的帖子（虽然现在使用硬删除，但保留这个逻辑以防将来改为软删除）
-        const validPosts = posts.filter(post => post && post.author);
+        const validPosts = await filterVisiblePosts(req.user.userId, posts);
 
         res.json({ posts: validPosts });
     } catch (err) {
@@ -110,12 +176,197 @@ router.get('/all', async (req, res) => {
 });
 
 
+// Home timeline: posts and reposts from followed users and self
+router.get('/timeline', async (req, res) => {
+    const { cursor, limit = 20 } = req.query;
+    const userId = req.user.userId;
+
+    // 验证限制数量
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 100)' });
+    }
+
+    // 验证游标
+    let cursorFilter = {};
+    if (cursor !== undefined) {
+        cursorFilter = buildCursorFilter(cursor);
+        if (!cursorFilter) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+    }
+
+    try {
+        const user = await User.findById(userId).select('_id');
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        const [following, hidden] = await Promise.all([
+            getFollowingIds(userId),
+            getHiddenAuthorIds(userId)
+        ]);
+        const hiddenSet = new Set(hidden.map(id => id.toString()));
+        const authors = [...following, user._id].filter(id => !hiddenSet.has(id.toString()));
+
+        const posts = await Post.find({
+            author: { $in: authors },
+            parent: null,
+            ...cursorFilter
+        })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(parsedLimit + 1)
+            .populate('author', 'username avatarname avatarimg badges')
+            .populate({
+                path: 'repost',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
+            })
+            .populate({
+                path: 'quote',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
+            });
+
+        // 游标基于原始结果计算，过滤无效帖子不影响翻页
+        const { items, nextCursor, hasMore } = paginateResults(posts, parsedLimit);
+        const validPosts = (await filterVisiblePosts(userId, items))
+            .map(post => formatPost(post, userId));
+
+        res.json({ posts: validPosts, nextCursor, hasMore });
+    } catch (err) {
+        console.error('Fetch Timeline Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Posts with a hashtag
+router.get('/tag/:tag', async (req, res) => {
+    const { tag } = req.params;
+    const { cursor, limit = 20 } = req.query;
+
+    if (!tag || !TAG_PATTERN.test(tag.replace(/^#/, ''))) {
+        return res.status(400).json({ message: 'Invalid hashtag' });
+    }
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 100)' });
+    }
+
+    let cursorFilter = {};
+    if (cursor !== undefined) {
+        cursorFilter = buildCursorFilter(cursor);
+        if (!cursorFilter) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+    }
+
+    try {
+        const userId = req.user.userId;
+        const hidden = await loadHiddenAuthors(userId);
+
+        const posts = await Post.find({
+            hashtags: normalizeTag(tag),
+            author: { $nin: hidden.ids },
+            $and: [hidden.privacy],
+            ...cursorFilter
+        })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(parsedLimit + 1)
+            .populate('author', 'username avatarname avatarimg badges')
+            .populate({
+                path: 'quote',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
+            });
+
+        const { items, nextCursor, hasMore } = paginateResults(posts, parsedLimit);
+        const validPosts = (await filterVisiblePosts(userId, items))
+            .map(post => formatPost(post, userId));
+
+        res.json({ tag: normalizeTag(tag), posts: validPosts, nextCursor, hasMore });
+    } catch (err) {
+        console.error('Fetch Tag Posts Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Trending posts over a sliding window
+router.get('/trending', async (req, res) => {
+    const { window = '24h', limit = 20 } = req.query;
+
+    if (!TRENDING_WINDOWS[window]) {
+        return res.status(400).json({ message: 'Invalid window (must be one of 1h, 24h, 7d)' });
+    }
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 100)' });
+    }
+
+    try {
+        const userId = req.user.userId;
+        const entries = await getTrendingPosts(window, parsedLimit);
+        const posts = await Post.find({ _id: { $in: entries.map(entry => entry.post) } })
+            .populate('author', 'username avatarname avatarimg badges')
+            .populate({
+                path: 'quote',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
+            });
+
+        const visiblePosts = await filterVisiblePosts(userId, posts);
+        const postById = new Map(visiblePosts.map(post => [post._id.toString(), post]));
+
+        // 保持热度排序，跳过已删除或作者不存在的帖子
+        const trendingPosts = entries
+            .map(entry => ({ entry, post: postById.get(entry.post.toString()) }))
+            .filter(({ post }) => post)
+            .map(({ entry, post }) => ({
+                ...formatPost(post, userId),
+                trendingScore: entry.score
+            }));
+
+        res.json({ window, posts: trendingPosts });
+    } catch (err) {
+        console.error('Fetch Trending Posts Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Trending hashtags over a sliding window
+router.get('/trending/tags', async (req, res) => {
+    const { window = '24h', limit = 10 } = req.query;
+
+    if (!TRENDING_WINDOWS[window]) {
+        return res.status(400).json({ message: 'Invalid window (must be one of 1h, 24h, 7d)' });
+    }
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 50) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 50)' });
+    }
+
+    try {
+        const tags = await getTrendingTags(window, parsedLimit);
+        res.json({ window, tags });
+    } catch (err) {
+        console.error('Fetch Trending Tags Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // Delete post
 router.delete('/delete/:id', async (req, res) => {
-    const token = getTokenFromHeader(req);
+    const { userId } = req.user;
     const { id } = req.params;
-
-    if (!token) return res.status(401).json({ message: 'Missing token' });
     
     // 验证帖子ID
     if (!id || typeof id !== 'string' || id.trim().length === 0) {
@@ -123,7 +374,6 @@ router.delete('/delete/:id', async (req, res) => {
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const post = await Post.findById(id);
 
         if (!post) return res.status(404).json({ message: 'Post does not exist' });
@@ -133,19 +383,72 @@ router.delete('/delete/:id', async (req, res) => {
             return res.status(404).json({ message: 'Post author not found' });
         }
         
-        if (post.author.toString() !== decoded.userId) return res.status(403).json({ message: 'No permission' });
+        if (post.author.toString() !== userId) return res.status(403).json({ message: 'No permission' });
 
-        // 删除主帖子及其所有回复
-        await Post.deleteMany({
+        // 删除主帖子及其所有层级的回复
+        const deletedIds = await Post.find({
             $or: [
                 { _id: id }, // 主帖子
-                { parent: id } // 所有回复
+                { ancestors: post._id } // 所有回复
             ]
-        });
+        }).distinct('_id');
+
+        await Post.deleteMany({ _id: { $in: deletedIds } });
+
+        // 编辑历史随帖子一起删除，不保留旧内容
+        await PostRevision.deleteMany({ post: { $in: deletedIds } });
+
+        // 删除帖子附带的投票
+        const deletedPolls = await Poll.find({ post: { $in: deletedIds } }).distinct('_id');
+        if (deletedPolls.length > 0) {
+            await Promise.all([
+                PollVote.deleteMany({ poll: { $in: deletedPolls } }),
+                Poll.deleteMany({ _id: { $in: deletedPolls } })
+            ]);
+        }
+
+        // 收藏保留为墓碑条目
+        await Bookmark.updateMany(
+            { post: { $in: deletedIds }, deleted: false },
+            { $set: { deleted: true, deletedAt: new Date() } }
+        );
+
+        if (post.parent) {
+            await Post.updateOne(
+                { _id: post.parent, replyCount: { $gt: 0 } },
+                { $inc: { replyCount: -1 } }
+            );
+        }
+
+        if (post.repost) {
+            await Post.updateOne(
+                { _id: post.repost, repostCount: { $gt: 0 } },
+                { $inc: { repostCount: -1 } }
+            );
+        }
+
+        if (post.quote) {
+            await Post.updateOne(
+                { _id: post.quote, quoteCount: { $gt: 0 } },
+                { $inc: { quoteCount: -1 } }
+            );
+        }
         
+        await removePostsFromTrending([post._id]);
+
+        // 撤回引用已删除帖子的通知（点赞、回复、提及、引用等），以及删除转发对应的转发通知
+        try {
+            await retractNotifications({ post: { $in: deletedIds } });
+            if (post.repost) {
+                await retractNotifications({ type: 'repost', from: post.author, post: post.repost });
+            }
+        } catch (notificationErr) {
+            console.error('Failed to retract notifications for deleted post:', notificationErr);
+        }
+
         res.json({ message: 'Post and all replies deleted successfully' });
 
-        if (process.env.DEBUG) console.log(`[DEBUG] -> Post deleted by user ${decoded.userId}`);
+        if (process.env.DEBUG) console.log(`[DEBUG] -> Post deleted by user ${userId}`);
     } catch (err) {
         console.error('Delete Post Error:', err);
         res.status(500).json({ message: 'Server error' });
@@ -154,11 +457,9 @@ router.delete('/delete/:id', async (req, res) => {
 
 // Reply to a post
 router.post('/reply/:parentId', async (req, res) => {
-    const token = getTokenFromHeader(req);
+    const { userId, username } = req.user;
     const { content } = req.body;
     const { parentId } = req.params;
-
-    if (!token) return res.status(401).json({ message: 'Missing token' });
     
     // 验证内容
     if (!content || typeof content !== 'string' || content.trim().length === 0) {
@@ -175,7 +476,6 @@ router.post('/reply/:parentId', async (req, res) => {
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const parentPost = await Post.findById(parentId);
         if (!parentPost) return res.status(404).json({ message: 'Original post not found' });
         
@@ -184,30 +484,84 @@ router.post('/reply/:parentId', async (req, res) => {
             return res.status(404).json({ message: 'Original post author not found' });
         }
 
-        const replyPost = new Post({ content, author: decoded.userId, parent: parentId });
+        // 屏蔽关系中的双方不能互相回复
+        if (await isBlockedBetween(userId, parentPost.author)) {
+            return res.status(403).json({ message: 'You cannot interact with this user' });
+        }
+
+        if (!(await canViewAuthorPosts(userId, parentPost.author))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
+
+        const replyPost = new Post({
+            content,
+            author: userId,
+            parent: parentId,
+            ...getThreadPosition(parentPost),
+            ...(await resolveEntities(content))
+        });
         await replyPost.save();
+        // 父帖作者已收到回复通知，不再重复发提及通知
+        await notifyMentions(
+            replyPost._id,
+            replyPost.mentions.filter(id => id.toString() !== parentPost.author.toString()),
+            userId,
+            username
+        );
+        await Post.updateOne(
+            { _id: parentPost._id },
+            { $inc: { replyCount: 1 }, $set: { lastEngagedAt: new Date() } }
+        );
+
+        // 回复通知指向回复本身，删除回复时随之撤回；屏蔽或静音了回复者的作者不会收到
+        if (parentPost.author.toString() !== userId) {
+            try {
+                await createNotification({
+                    type: 'reply',
+                    from: userId,
+                    to: parentPost.author,
+                    post: replyPost._id,
+                    message: `${username} replied to your post`
+                });
+            } catch (notificationErr) {
+                console.error('Failed to create reply notification:', notificationErr);
+            }
+        }
 
         const populatedReply = await replyPost.populate('author', 'username avatarname avatarimg badges')
 
         res.json({ message: 'Reply successful', reply: populatedReply });
 
-        if (process.env.DEBUG) console.log(`[DEBUG] -> User ${decoded.userId} replied to post ${parentId}`);
+        if (process.env.DEBUG) console.log(`[DEBUG] -> User ${userId} replied to post ${parentId}`);
     } catch (err) {
         console.error('Reply Error:', err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Repost Post
+// Repost Post (plain repost, or quote post when content/images are given)
 router.post('/repost', async (req, res) => {
-    const { repostId } = req.body;
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) return res.status(401).json({ message: 'Missing token' });
+    const { userId, username } = req.user;
+    const { repostId, content, images } = req.body;
+
+    const isQuote = (typeof content === 'string' && content.trim().length > 0)
+        || (Array.isArray(images) && images.length > 0);
+
+    // 验证引用内容
+    if (content !== undefined && typeof content !== 'string') {
+        return res.status(400).json({ message: 'Quote content must be a string' });
+    }
+
+    if (content && content.length > 1000) {
+        return res.status(400).json({ message: 'Quote content too long (max 1000 characters)' });
+    }
+
+    const imagesError = getImagesError(images);
+    if (imagesError) {
+        return res.status(400).json({ message: imagesError });
+    }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const userId = decoded.userId;
 
         if (!mongoose.isValidObjectId(repostId)) {
             return res.status(400).json({ message: 'Invalid repost ID' });
@@ -232,25 +586,75 @@ router.post('/repost', async (req, res) => {
             return res.status(404).json({ message: 'Original post author not found' });
         }
 
-        // Create the repost
-        const newPost = new Post({
-            author: userId,
-            content: '',  // Reposts might not need content
-            repost: repostId,
-        });
+        // 屏蔽关系中的双方不能互相转发或引用
+        if (await isBlockedBetween(userId, originalPost.author._id)) {
+            return res.status(403).json({ message: 'You cannot interact with this user' });
+        }
 
-        await newPost.save();
+        if (!(await canViewAuthorPosts(userId, originalPost.author._id))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
 
-        // Create notification for repost
-        try {
-            const Notification = (await import('../models/Notification.js')).default;
-            await Notification.create({
-                type: 'repost',
-                from: userId,
-                to: originalPost.author._id,
-                post: repostId,
-                message: `${decoded.username} reposted your post`
+        // 普通转发每人只能转发一次
+        if (!isQuote) {
+            const existingRepost = await Post.exists({ author: userId, repost: repostId });
+            if (existingRepost) {
+                return res.status(400).json({ message: 'Already reposted' });
+            }
+        }
+
+        // Create the repost or quote
+        const newPost = isQuote
+            ? new Post({
+                author: userId,
+                content: content || '',
+                images: images || [],
+                quote: repostId,
+                ...(await resolveEntities(content))
+            })
+            : new Post({
+                author: userId,
+                content: '',  // Reposts might not need content
+                repost: repostId,
             });
+
+        try {
+            await newPost.save();
+        } catch (saveErr) {
+            // 并发的重复转发由唯一索引拦截
+            if (saveErr.code === 11000 && !isQuote) {
+                return res.status(400).json({ message: 'Already reposted' });
+            }
+            throw saveErr;
+        }
+        if (isQuote) {
+            await notifyMentions(newPost._id, newPost.mentions, userId, username);
+        }
+        await Post.updateOne(
+            { _id: repostId },
+            {
+                $inc: isQuote ? { quoteCount: 1 } : { repostCount: 1 },
+                $set: { lastEngagedAt: new Date() }
+            }
+        );
+
+        // Create notification for repost / quote
+        try {
+            await createNotification(isQuote
+                ? {
+                    type: 'quote',
+                    from: userId,
+                    to: originalPost.author._id,
+                    post: newPost._id,
+                    message: `${username} quoted your post`
+                }
+                : {
+                    type: 'repost',
+                    from: userId,
+                    to: originalPost.author._id,
+                    post: repostId,
+                    message: `${username} reposted your post`
+                });
         } catch (notificationErr) {
             console.error('Failed to create repost notification:', notificationErr);
             // 通知创建失败不影响repost操作
@@ -265,9 +669,19 @@ router.post('/repost', async (req, res) => {
                     path: 'author',
                     select: 'username avatarname avatarimg badges',
                 },
+            })
+            .populate({
+                path: 'quote',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                },
             });
 
-        res.status(201).json({ message: 'Repost successful', post: populatedPost });
+        res.status(201).json({
+            message: isQuote ? 'Quote successful' : 'Repost successful',
+            post: populatedPost
+        });
 
     } catch (err) {
         console.error('Repost error:', err);
@@ -275,6 +689,40 @@ router.post('/repost', async (req, res) => {
     }
 });
 
+// Undo a plain repost
+router.delete('/repost/:repostId', async (req, res) => {
+    const { repostId } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.isValidObjectId(repostId)) {
+        return res.status(400).json({ message: 'Invalid repost ID' });
+    }
+
+    try {
+        const repost = await Post.findOneAndDelete({ author: userId, repost: repostId });
+        if (!repost) {
+            return res.status(404).json({ message: 'Repost not found' });
+        }
+
+        await Post.updateOne(
+            { _id: repostId, repostCount: { $gt: 0 } },
+            { $inc: { repostCount: -1 }, $set: { lastEngagedAt: new Date() } }
+        );
+
+        // 撤回对应的转发通知
+        try {
+            await retractNotifications({ type: 'repost', from: userId, post: repostId });
+        } catch (notificationErr) {
+            console.error('Failed to remove repost notification:', notificationErr);
+        }
+
+        res.json({ message: 'Repost removed successfully' });
+    } catch (err) {
+        console.error('Undo Repost Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 
 // Get direct replies
 router.get('/:id/replies', async (req, res) => {
@@ -286,13 +734,15 @@ router.get('/:id/replies', async (req, res) => {
     }
     
     try {
-        const replies = await Post.find({ parent: id })
+        const hidden = await loadHiddenAuthors(req.user.userId);
+
+        const replies = await Post.find({ parent: id, author: { $nin: hidden.ids }, $and: [hidden.privacy] })
             .sort({ createdAt: 1 })
             .populate('author', 'username avatarname avatarimg badges')
             .populate('repost')
 
         // 过滤掉无效的回复（作者不存在的）
-        const validReplies = replies.filter(reply => reply && reply.author);
+        const validReplies = await filterVisiblePosts(req.user.userId, replies);
 
         res.json({ replies: validReplies });
     } catch (err) {
@@ -323,7 +773,7 @@ router.get('/fetch', async (req, res) => {
             if (keyword.length > 100) {
                 return res.status(400).json({ message: 'Keyword too long (max 100 characters)' });
             }
-            query.content = { $regex: keyword.trim(), $options: 'i' };
+            query.content = { $regex: escapeRegex(keyword.trim()), $options: 'i' };
         }
 
         // 验证限制数量
@@ -332,23 +782,44 @@ router.get('/fetch', async (req, res) => {
             return res.status(400).json({ message: 'Invalid limit (must be between 1 and 100)' });
         }
 
+        // 屏蔽或静音的作者不出现在结果中
+        const hidden = await loadHiddenAuthors(req.user.userId);
+        query.author = query.author
+            ? { $eq: query.author, $nin: hidden.ids }
+            : { $nin: hidden.ids };
+        query.$and = [hidden.privacy];
+
         const posts = await Post.find(query)
             .sort({ createdAt: -1 })
             .limit(parsedLimit)
             .populate('author', 'username avatarname avatarimg badges')
             .populate('repost')
+            .populate('quote')
+
+        // 一次查询取出所有帖子的直接回复，避免逐帖查询
+        const replies = await filterVisiblePosts(req.user.userId, await Post.find({
+            parent: { $in: posts.map(post => post._id) },
+            author: { $nin: hidden.ids },
+            $and: [hidden.privacy]
+        })
+            .sort({ createdAt: 1 })
+            .populate('author', 'username avatarname avatarimg badges')
+            .populate('repost'));
 
-        const postsWithReplies = await Promise.all(posts.map(async (post) => {
-            const replies = await Post.find({ parent: post._id })
-                .sort({ createdAt: 1 })
-                .populate('author', 'username avatarname avatarimg badges')
-                .populate('repost')
+        const repliesByParent = new Map();
+        for (const reply of replies) {
+            const key = reply.parent.toString();
+            if (!repliesByParent.has(key)) repliesByParent.set(key, []);
+            repliesByParent.get(key).push(reply);
+        }
 
-            return { ...post.toObject(), replies };
+        const postsWithReplies = posts.map(post => ({
+            ...post.toObject(),
+            replies: repliesByParent.get(post._id.toString()) || []
         }));
 
         // 过滤掉无效的帖子（作者不存在的）
-        const validPosts = postsWithReplies.filter(post => post && post.author);
+        const validPosts = await filterVisiblePosts(req.user.userId, postsWithReplies);
 
         res.json({ posts: validPosts });
     } catch (err) {
@@ -380,10 +851,41 @@ router.post('/:postId/like', authMiddleware, async (req, res) => {
             return res.status(400).json({ message: 'Already liked' });
         }
 
-        post.likes.push(userId);
-        await post.save();
+        // 屏蔽关系中的双方不能互相点赞
+        if (await isBlockedBetween(userId, post.author)) {
+            return res.status(403).json({ message: 'You cannot interact with this user' });
+        }
+
+        if (!(await canViewAuthorPosts(userId, post.author))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
+
+        // 条件更新，并发的重复点赞只有一次生效
+        const result = await Post.updateOne(
+            { _id: post._id, likes: { $ne: userId } },
+            { $push: { likes: userId }, $set: { lastEngagedAt: new Date() } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(400).json({ message: 'Already liked' });
+        }
 
         res.json({ message: 'Liked successfully' });
+
+        // 取消后再次点赞不会重复通知；取消点赞保留已有通知
+        if (post.author.toString() !== userId) {
+            try {
+                await createNotification({
+                    type: 'like',
+                    from: userId,
+                    to: post.author,
+                    post: post._id,
+                    message: `${req.user.username} liked your post`,
+                    dedupe: true
+                });
+            } catch (notificationErr) {
+                console.error('Failed to create like notification:', notificationErr);
+            }
+        }
     } catch (err) {
         console.error('Like Error:', err);
         res.status(500).json({ message: 'Server error' });
@@ -415,6 +917,7 @@ router.post('/:postId/unlike', authMiddleware, async (req, res) => {
         }
 
         post.likes.splice(index, 1);
+        post.lastEngagedAt = new Date();
         await post.save();
 
         res.json({ message: 'Unliked successfully' });
@@ -424,7 +927,306 @@ router.post('/:postId/unlike', authMiddleware, async (req, res) => {
     }
 });
 
-// Get a single post and all its nested replies
+// Edit post
+router.put('/:id', async (req, res) => {
+    const { id } = req.params;
+    const { content, images } = req.body;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Valid post ID is required' });
+    }
+
+    if (content === undefined && images === undefined) {
+        return res.status(400).json({ message: 'No data to update' });
+    }
+
+    // 验证内容
+    if (content !== undefined) {
+        if (typeof content !== 'string') {
+            return res.status(400).json({ message: 'Post content must be a string' });
+        }
+        if (content.length > 1000) {
+            return res.status(400).json({ message: 'Post content too long (max 1000 characters)' });
+        }
+    }
+
+    const imagesError = getImagesError(images);
+    if (imagesError) {
+        return res.status(400).json({ message: imagesError });
+    }
+
+    try {
+        const post = await Post.findById(id);
+        if (!post) return res.status(404).json({ message: 'Post does not exist' });
+
+        if (!post.author || post.author.toString() !== userId) {
+            return res.status(403).json({ message: 'No permission' });
+        }
+
+        if (post.repost) {
+            return res.status(400).json({ message: 'Reposts cannot be edited' });
+        }
+
+        if (Date.now() - post.createdAt.getTime() > POST_EDIT_WINDOW_MS) {
+            return res.status(403).json({ message: 'Edit window has expired' });
+        }
+
+        const newContent = content !== undefined ? content : post.content;
+        const newImages = images !== undefined ? images : post.images;
+
+        // 普通帖子必须有文字内容，引用帖子可以只有图片
+        if (!post.quote && (!newContent || newContent.trim().length === 0)) {
+            return res.status(400).json({ message: 'Post content is required' });
+        }
+
+        if (post.quote && !newContent.trim() && newImages.length === 0) {
+            return res.status(400).json({ message: 'Quote content or images are required' });
+        }
+
+        const now = new Date();
+        const { hashtags, mentions, entities } = await resolveEntities(newContent);
+
+        // 保存编辑前的版本
+        await PostRevision.create({
+            post: post._id,
+            author: post.author,
+            revision: post.editCount,
+            content: post.content,
+            images: post.images,
+            createdAt: post.editedAt || post.createdAt,
+            replacedAt: now
+        });
+
+        // 以 editCount 作为版本号，防止并发编辑互相覆盖
+        const updatedPost = await Post.findOneAndUpdate(
+            { _id: post._id, editCount: post.editCount },
+            {
+                $set: {
+                    content: newContent,
+                    images: newImages,
+                    hashtags,
+                    mentions,
+                    entities,
+                    edited: true,
+                    editedAt: now,
+                    // 让热度刷新重新计算该帖子，话题榜随编辑后的话题更新
+                    lastEngagedAt: now
+                },
+                $inc: { editCount: 1 }
+            },
+            { new: true }
+        )
+            .populate('author', 'username avatarname avatarimg badges')
+            .populate({
+                path: 'quote',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
+            });
+
+        if (!updatedPost) {
+            await PostRevision.deleteOne({ post: post._id, revision: post.editCount, replacedAt: now });
+            return res.status(409).json({ message: 'Post was modified concurrently, please retry' });
+        }
+
+        // 只通知编辑后新增的提及
+        const previousMentions = new Set(post.mentions.map(m => m.toString()));
+        await notifyMentions(
+            updatedPost._id,
+            mentions.filter(m => !previousMentions.has(m)),
+            userId,
+            req.user.username
+        );
+
+        res.json({ message: 'Post updated successfully', post: formatPost(updatedPost, userId) });
+
+        if (process.env.DEBUG) console.log(`[DEBUG] -> Post ${id} edited by user ${userId}`);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: 'Post was modified concurrently, please retry' });
+        }
+        console.error('Edit Post Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get the edit history of a post
+router.get('/:id/revisions', async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Valid post ID is required' });
+    }
+
+    try {
+        const post = await Post.findById(id).select('author content images createdAt edited editedAt editCount');
+        if (!post) return res.status(404).json({ message: 'Post does not exist' });
+
+        // 与 GET /:id 相同的可见性规则
+        if (await isBlockedBetween(req.user.userId, post.author)) {
+            return res.status(404).json({ message: 'Post does not exist' });
+        }
+
+        if (!(await canViewAuthorPosts(req.user.userId, post.author))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
+
+        const revisions = await PostRevision.find({ post: post._id })
+            .sort({ revision: 1 })
+            .select('-__v');
+
+        res.json({
+            current: {
+                revision: post.editCount,
+                content: post.content,
+                images: post.images,
+                createdAt: post.editedAt || post.createdAt
+            },
+            revisions
+        });
+    } catch (err) {
+        console.error('Fetch Revisions Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get the poll attached to a post (results hidden until voted or closed)
+router.get('/:postId/poll', validateObjectId('postId'), async (req, res) => {
+    try {
+        const poll = await Poll.findOne({ post: req.params.postId });
+        if (!poll) return res.status(404).json({ message: 'Poll not found' });
+
+        // 屏蔽关系中的双方看不到对方的投票，也不能投票
+        if (await isBlockedBetween(req.user.userId, poll.author)) {
+            return res.status(404).json({ message: 'Poll not found' });
+        }
+
+        if (!(await canViewAuthorPosts(req.user.userId, poll.author))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
+
+        res.json({ poll: await getPollView(poll, req.user.userId) });
+    } catch (err) {
+        console.error('Fetch Poll Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Vote on a poll, or change the vote before it closes
+router.post('/:postId/poll/vote', validateObjectId('postId'), async (req, res) => {
+    const { choices } = req.body;
+    const userId = req.user.userId;
+
+    try {
+        const poll = await Poll.findOne({ post: req.params.postId });
+        if (!poll) return res.status(404).json({ message: 'Poll not found' });
+
+        // 屏蔽关系中的双方看不到对方的投票，也不能投票
+        if (await isBlockedBetween(userId, poll.author)) {
+            return res.status(404).json({ message: 'Poll not found' });
+        }
+
+        if (!(await canViewAuthorPosts(userId, poll.author))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
+
+        const voteError = await castVote(poll, userId, choices);
+        if (voteError) {
+            return res.status(400).json({ message: voteError });
+        }
+
+        res.json({ message: 'Vote recorded', poll: await getPollView(poll, userId) });
+    } catch (err) {
+        console.error('Poll Vote Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get a conversation tree with per-level pagination; load more of any node's replies via /:nodeId/thread?cursor=<its repliesCursor>
+router.get('/:id/thread', async (req, res) => {
+    const { id } = req.params;
+    const { cursor, depth = DEFAULT_THREAD_DEPTH, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Valid post ID is required' });
+    }
+
+    const parsedDepth = parseInt(depth);
+    if (isNaN(parsedDepth) || parsedDepth < 0 || parsedDepth > MAX_THREAD_DEPTH) {
+        return res.status(400).json({ message: `Invalid depth (must be between 0 and ${MAX_THREAD_DEPTH})` });
+    }
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 100)' });
+    }
+
+    if (cursor !== undefined && !buildCursorFilter(cursor, 'createdAt', 1)) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    try {
+        const post = await Post.findById(id)
+            .populate('author', 'username avatarname avatarimg badges')
+            .populate({
+                path: 'repost',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
+            })
+            .populate({
+                path: 'quote',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
+            });
+
+        if (!post) return res.status(404).json({ message: 'Post does not exist' });
+
+        if (!post.author) {
+            return res.status(404).json({ message: 'Post author not found' });
+        }
+
+        const userId = req.user.userId;
+
+        // 屏蔽关系中的双方互相看不到对方的帖子
+        if (await isBlockedBetween(userId, post.author._id)) {
+            return res.status(404).json({ message: 'Post does not exist' });
+        }
+
+        // 私密账号的帖子只对已批准的关注者可见
+        if (!(await canViewAuthorPosts(userId, post.author._id))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
+
+        const [thread, ancestors] = await Promise.all([
+            buildThread(post, {
+                depth: parsedDepth,
+                limit: parsedLimit,
+                cursor,
+                format: doc => formatPost(doc, userId),
+                viewerId: userId
+            }),
+            Post.find({ _id: { $in: post.ancestors } })
+                .sort({ depth: 1 })
+                .populate('author', 'username avatarname avatarimg badges')
+        ]);
+
+        res.json({
+            ancestors: (await filterVisiblePosts(userId, ancestors)).map(p => formatPost(p, userId)),
+            thread
+        });
+    } catch (err) {
+        console.error('Fetch Thread Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get a single post and its nested replies (depth-limited)
 router.get('/:id', async (req, res) => {
     const { id } = req.params;
     
@@ -442,6 +1244,13 @@ router.get('/:id', async (req, res) => {
                     path: 'author',
                     select: 'username avatarname avatarimg badges',
                 }
+            })
+            .populate({
+                path: 'quote',
+                populate: {
+                    path: 'author',
+                    select: 'username avatarname avatarimg badges',
+                }
             });
 
         if (!post) return res.status(404).json({ message: 'Post does not exist' });
@@ -451,21 +1260,24 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ message: 'Post author not found' });
         }
 
-        const replies = await getAllReplies(post._id);
-
         const userId = req.user ? req.user.userId : null;
 
-        const formattedPost = {
-            ...post.toObject(),
-            likeCount: post.likes?.length || 0,
-            isLiked: userId ? post.likes?.some(id => id.equals(userId)) : false,
-        };
-
-        const formattedReplies = replies.map(reply => ({
-            ...reply.toObject(),
-            likeCount: reply.likes?.length || 0,
-            isLiked: userId ? reply.likes?.some(id => id.equals(userId)) : false,
-        }));
+        // 屏蔽关系中的双方互相看不到对方的帖子
+        if (await isBlockedBetween(userId, post.author._id)) {
+            return res.status(404).json({ message: 'Post does not exist' });
+        }
+
+        // 私密账号的帖子只对已批准的关注者可见
+        if (!(await canViewAuthorPosts(userId, post.author._id))) {
+            return res.status(403).json({ message: 'This account is private' });
+        }
+
+        // 逐层按父帖子分页查询，深度和数量都受限
+        const replies = (await findDescendants(post, DEFAULT_THREAD_DEPTH, userId))
+            .filter(reply => reply && reply.author);
+
+        const formattedPost = formatPost(post, userId);
+        const formattedReplies = replies.map(reply => formatPost(reply, userId));
 
         res.json({ post: formattedPost, replies: formattedReplies });
     } catch (err) {
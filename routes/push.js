@@ -0,0 +1,116 @@
+import express from 'express';
+import PushSubscription from '../models/PushSubscription.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import validateObjectId from '../middleware/validateObjectId.js';
+import { getVapidPublicKey, isWebPushConfigured } from '../utils/webPush.js';
+
+const router = express.Router();
+
+const MAX_SUBSCRIPTIONS_PER_USER = 20;
+
+// Public key the browser needs for pushManager.subscribe()
+router.get('/vapid-public-key', (req, res) => {
+    if (!isWebPushConfigured()) {
+        return res.status(503).json({ success: false, message: 'Web push is not configured' });
+    }
+    res.json({ success: true, publicKey: getVapidPublicKey() });
+});
+
+router.use(authMiddleware);
+
+// Register (or move to this user/session) a browser subscription
+router.post('/subscribe', async (req, res) => {
+    const { endpoint, keys, expirationTime } = req.body?.subscription || req.body || {};
+
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || endpoint.length > 2048) {
+        return res.status(400).json({ success: false, message: 'A valid https endpoint is required' });
+    }
+
+    if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+        return res.status(400).json({ success: false, message: 'Subscription keys are required' });
+    }
+
+    try {
+        const existing = await PushSubscription.countDocuments({ user: req.user.userId, endpoint: { $ne: endpoint } });
+        if (existing >= MAX_SUBSCRIPTIONS_PER_USER) {
+            return res.status(400).json({ success: false, message: 'Too many push subscriptions' });
+        }
+
+        // 同一浏览器重新订阅或换了账号登录时覆盖原记录
+        const subscription = await PushSubscription.findOneAndUpdate(
+            { endpoint },
+            {
+                $set: {
+                    user: req.user.userId,
+                    session: req.user.sessionId,
+                    keys: { p256dh: keys.p256dh, auth: keys.auth },
+                    expirationTime: expirationTime ? new Date(expirationTime) : null,
+                    userAgent: (req.headers['user-agent'] || '').slice(0, 512)
+                }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(201).json({ success: true, subscription: { id: subscription._id, createdAt: subscription.createdAt } });
+    } catch (err) {
+        console.error('Failed to save push subscription:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Remove a subscription by endpoint (called when the browser unsubscribes)
+router.post('/unsubscribe', async (req, res) => {
+    const { endpoint } = req.body || {};
+
+    if (typeof endpoint !== 'string' || !endpoint) {
+        return res.status(400).json({ success: false, message: 'Endpoint is required' });
+    }
+
+    try {
+        await PushSubscription.deleteOne({ user: req.user.userId, endpoint });
+        res.json({ success: true, message: 'Unsubscribed' });
+    } catch (err) {
+        console.error('Failed to remove push subscription:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// List my push-enabled devices
+router.get('/subscriptions', async (req, res) => {
+    try {
+        const subscriptions = await PushSubscription.find({ user: req.user.userId })
+            .sort({ createdAt: -1 })
+            .select('userAgent createdAt lastSuccessAt expirationTime session');
+
+        res.json({
+            success: true,
+            subscriptions: subscriptions.map(subscription => ({
+                id: subscription._id,
+                userAgent: subscription.userAgent,
+                createdAt: subscription.createdAt,
+                lastSuccessAt: subscription.lastSuccessAt,
+                expirationTime: subscription.expirationTime,
+                current: subscription.session?.toString() === req.user.sessionId
+            }))
+        });
+    } catch (err) {
+        console.error('Failed to list push subscriptions:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Remove one device
+router.delete('/subscriptions/:id', validateObjectId('id'), async (req, res) => {
+    try {
+        const result = await PushSubscription.deleteOne({ _id: req.params.id, user: req.user.userId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ success: false, message: 'Subscription not found' });
+        }
+        res.json({ success: true, message: 'Subscription removed' });
+    } catch (err) {
+        console.error('Failed to remove push subscription:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
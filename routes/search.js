@@ -0,0 +1,258 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import Group from '../models/Group.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { buildCursorFilter, decodeCursor, encodeCursor, paginateResults } from '../utils/pagination.js';
+import { parseSearchQuery, buildSnippet } from '../utils/searchQuery.js';
+import { getHiddenAuthorIds, getPrivateAuthorFilter, filterVisiblePosts } from '../utils/visibility.js';
+import { findUserByHandle } from '../utils/usernameService.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const SEARCH_TYPES = ['posts', 'users', 'groups'];
+const AUTHOR_FIELDS = 'username avatarname avatarimg badges';
+
+// Helper: keyset filter over (score, _id) for relevance-ranked pages
+const buildScoreCursorFilter = (cursor) => {
+    const payload = decodeCursor(cursor);
+    if (!payload || typeof payload.s !== 'number' || !mongoose.Types.ObjectId.isValid(payload.id)) {
+        return null;
+    }
+
+    const id = new mongoose.Types.ObjectId(payload.id);
+    return {
+        $or: [
+            { score: { $lt: payload.s } },
+            { score: payload.s, _id: { $lt: id } }
+        ]
+    };
+};
+
+// Helper: run a $text query ranked by relevance, one page at a time
+const rankedSearch = async (Model, match, { cursor, limit, project }) => {
+    const pipeline = [
+        { $match: match },
+        { $addFields: { score: { $meta: 'textScore' } } }
+    ];
+    if (cursor) pipeline.push({ $match: buildScoreCursorFilter(cursor) });
+    pipeline.push({ $sort: { score: -1, _id: -1 } }, { $limit: limit + 1 });
+    if (project) pipeline.push({ $project: project });
+
+    const docs = await Model.aggregate(pipeline);
+
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+    const last = items[items.length - 1];
+    const nextCursor = hasMore && last
+        ? encodeCursor({ s: last.score, id: last._id.toString() })
+        : null;
+
+    return { items, nextCursor, hasMore };
+};
+
+// Helper: created-at range filter from since/until
+const buildDateFilter = (range) => {
+    if (!range.since && !range.until) return null;
+    return {
+        ...(range.since ? { $gte: range.since } : {}),
+        ...(range.until ? { $lte: range.until } : {})
+    };
+};
+
+const searchPosts = async (parsed, { userId, cursor, limit, range }) => {
+    const [hidden, privacy] = await Promise.all([getHiddenAuthorIds(userId), getPrivateAuthorFilter(userId)]);
+
+    const authorFilter = { $nin: hidden };
+    if (parsed.from) {
+        const { user: author } = await findUserByHandle(parsed.from, '_id');
+        if (!author) return { results: [], nextCursor: null, hasMore: false };
+        authorFilter.$eq = author._id;
+    }
+
+    const match = {
+        ...(parsed.textSearch ? { $text: { $search: parsed.textSearch } } : {}),
+        author: authorFilter,
+        $and: [privacy],
+        repost: null // 纯转发没有自己的内容
+    };
+    if (parsed.tags.length > 0) match.hashtags = { $all: parsed.tags };
+    const dateFilter = buildDateFilter(range);
+    if (dateFilter) match.createdAt = dateFilter;
+
+    let page;
+    if (parsed.textSearch) {
+        page = await rankedSearch(Post, match, { cursor, limit });
+        page.items = await Post.populate(page.items, [
+            { path: 'author', select: AUTHOR_FIELDS },
+            { path: 'quote', populate: { path: 'author', select: AUTHOR_FIELDS } }
+        ]);
+    } else {
+        // 只有 from: / #话题 过滤时按时间倒序
+        const posts = await Post.find({ ...match, ...(cursor ? buildCursorFilter(cursor) : {}) })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate('author', AUTHOR_FIELDS)
+            .populate({ path: 'quote', populate: { path: 'author', select: AUTHOR_FIELDS } })
+            .lean();
+        page = paginateResults(posts, limit);
+    }
+
+    const highlightTerms = [...parsed.terms, ...parsed.phrases, ...parsed.tags.map(tag => `#${tag}`)];
+
+    return {
+        results: (await filterVisiblePosts(userId, page.items))
+            .map(post => ({
+                ...post,
+                likeCount: post.likes?.length || 0,
+                isLiked: (post.likes || []).some(id => id.toString() === userId),
+                highlight: buildSnippet(post.content, highlightTerms)
+            })),
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
+    };
+};
+
+const searchUsers = async (parsed, { userId, cursor, limit, range }) => {
+    const hidden = await getHiddenAuthorIds(userId);
+
+    const match = {
+        $text: { $search: parsed.textSearch },
+        _id: { $nin: hidden }
+    };
+    const dateFilter = buildDateFilter(range);
+    if (dateFilter) match.registertime = dateFilter;
+
+    const page = await rankedSearch(User, match, {
+        cursor,
+        limit,
+        project: {
+            username: 1, avatarname: 1, avatarimg: 1, bio: 1, badges: 1,
+            isPrivate: 1, followersCount: 1, followingCount: 1, score: 1
+        }
+    });
+
+    const highlightTerms = [...parsed.terms, ...parsed.phrases];
+
+    return {
+        results: page.items.map(user => ({
+            ...user,
+            highlight: buildSnippet(user.bio, highlightTerms)
+        })),
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
+    };
+};
+
+const searchGroups = async (parsed, { userId, cursor, limit, range }) => {
+    const match = {
+        $text: { $search: parsed.textSearch },
+        status: 'active',
+        // 秘密群组只对成员可见
+        $or: [
+            { type: { $ne: 'secret' } },
+            { 'members.user': new mongoose.Types.ObjectId(userId) }
+        ]
+    };
+    const dateFilter = buildDateFilter(range);
+    if (dateFilter) match.createdAt = dateFilter;
+
+    const page = await rankedSearch(Group, match, {
+        cursor,
+        limit,
+        project: {
+            name: 1, description: 1, avatar: 1, type: 1, category: 1, tags: 1,
+            createdAt: 1, score: 1, memberCount: { $size: '$members' }
+        }
+    });
+
+    const highlightTerms = [...parsed.terms, ...parsed.phrases];
+
+    return {
+        results: page.items.map(group => ({
+            ...group,
+            highlight: buildSnippet(group.description || group.name, highlightTerms)
+        })),
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
+    };
+};
+
+const SEARCHERS = { posts: searchPosts, users: searchUsers, groups: searchGroups };
+
+// Search posts, users and groups
+router.get('/', async (req, res) => {
+    const { q, type = 'all', cursor, limit = 20, since, until } = req.query;
+    const userId = req.user.userId;
+
+    if (typeof q !== 'string' || q.trim().length === 0) {
+        return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    if (q.length > 200) {
+        return res.status(400).json({ message: 'Search query too long (max 200 characters)' });
+    }
+
+    if (type !== 'all' && !SEARCH_TYPES.includes(type)) {
+        return res.status(400).json({ message: 'Invalid type (must be one of all, posts, users, groups)' });
+    }
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 50) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 50)' });
+    }
+
+    const range = {
+        since: since !== undefined ? new Date(since) : null,
+        until: until !== undefined ? new Date(until) : null
+    };
+    if ((range.since && isNaN(range.since.getTime())) || (range.until && isNaN(range.until.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (range.since && range.until && range.since > range.until) {
+        return res.status(400).json({ message: 'since must be before until' });
+    }
+
+    const parsed = parseSearchQuery(q);
+
+    // 只有帖子支持仅凭 from: / #话题 过滤
+    const canSearch = (searchType) => Boolean(parsed.textSearch)
+        || (searchType === 'posts' && (parsed.from || parsed.tags.length > 0));
+
+    if (cursor !== undefined) {
+        if (type === 'all') {
+            return res.status(400).json({ message: 'A cursor requires a specific type' });
+        }
+        const valid = parsed.textSearch ? buildScoreCursorFilter(cursor) : buildCursorFilter(cursor);
+        if (!valid) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+    }
+
+    const options = { userId, cursor, limit: parsedLimit, range };
+    const empty = { results: [], nextCursor: null, hasMore: false };
+
+    try {
+        if (type !== 'all') {
+            if (!canSearch(type)) {
+                return res.status(400).json({ message: 'Search query has no searchable terms' });
+            }
+            const page = await SEARCHERS[type](parsed, options);
+            return res.json({ type, ...page });
+        }
+
+        const [posts, users, groups] = await Promise.all(SEARCH_TYPES.map(searchType => (
+            canSearch(searchType) ? SEARCHERS[searchType](parsed, options) : empty
+        )));
+
+        res.json({ type, posts, users, groups });
+    } catch (err) {
+        console.error('Search Error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,242 @@
+import express from 'express';
+import User from '../models/User.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes
+} from '../utils/totp.js';
+import { verifySecondFactor } from '../utils/twoFactorService.js';
+import { createSession, verifyTwoFactorToken } from '../utils/tokenService.js';
+import { reserveLoginAttempt, recordLoginFailure, recordLoginSuccess, sendLoginBlocked } from '../utils/loginGuard.js';
+
+const router = express.Router();
+
+const ISSUER = process.env.TOTP_ISSUER || process.env.RP_NAME || 'Sorami';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Tool function: check a TOTP or recovery code; failures count like failed sign-ins (also for signed-in users, so a stolen session cannot guess codes)
+const verifyGuardedSecondFactor = async (req, res, user) => {
+    const attempt = await reserveLoginAttempt(req, { user, method: '2fa' });
+    if (attempt.blocked) {
+        sendLoginBlocked(res, attempt.blocked);
+        return null;
+    }
+
+    const method = await verifySecondFactor(user, req.body || {});
+    if (!method) {
+        await recordLoginFailure(attempt, 'invalid_code');
+        res.status(401).json({ message: 'Invalid verification code.' });
+        return null;
+    }
+
+    await recordLoginSuccess(attempt);
+    return method;
+};
+
+// 2FA status
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.json({
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+        });
+    } catch (error) {
+        console.error('2FA status error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Start enrollment: a new secret that becomes active once a code from it is confirmed
+router.post('/setup', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('username twoFactor.enabled');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        const secret = generateTotpSecret();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+        res.json({
+            message: 'Scan the code with your authenticator app, then confirm with a code.',
+            secret,
+            otpauthUri: buildOtpauthUri(secret, user.username, ISSUER)
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Finish enrollment; the recovery codes are only ever shown in this response
+router.post('/enable', authMiddleware, async (req, res) => {
+    const { code } = req.body || {};
+
+    if (typeof code !== 'string' || !code) {
+        return res.status(400).json({ message: 'Verification code is required.' });
+    }
+
+    try {
+        const user = await User.findById(req.user.userId).select('twoFactor.enabled +twoFactor.pendingSecret');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        const { pendingSecret } = user.twoFactor;
+        if (!pendingSecret) {
+            return res.status(400).json({ message: 'Start two-factor setup first.' });
+        }
+
+        const step = verifyTotp(pendingSecret, code.trim());
+        if (step === null) {
+            return res.status(400).json({ message: 'Invalid verification code.' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, 'twoFactor.enabled': false, 'twoFactor.pendingSecret': pendingSecret },
+            {
+                $set: {
+                    'twoFactor.enabled': true,
+                    'twoFactor.enabledAt': new Date(),
+                    'twoFactor.secret': pendingSecret,
+                    'twoFactor.pendingSecret': null,
+                    'twoFactor.recoveryCodes': hashes,
+                    'twoFactor.lastUsedStep': step
+                }
+            }
+        );
+        if (!updated) {
+            return res.status(409).json({ message: 'Two-factor setup changed, please start again.' });
+        }
+
+        res.json({ message: 'Two-factor authentication enabled.', recoveryCodes: codes });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Turn 2FA off; needs a fresh code (or a recovery code)
+router.post('/disable', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select(`username twoFactor.enabled ${SECRET_FIELDS}`);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+
+        if (!(await verifyGuardedSecondFactor(req, res, user))) return;
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    'twoFactor.enabled': false,
+                    'twoFactor.enabledAt': null,
+                    'twoFactor.secret': null,
+                    'twoFactor.pendingSecret': null,
+                    'twoFactor.recoveryCodes': [],
+                    'twoFactor.lastUsedStep': 0
+                }
+            }
+        );
+
+        res.json({ message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Replace all recovery codes; needs a fresh code
+router.post('/recovery-codes', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select(`username twoFactor.enabled ${SECRET_FIELDS}`);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+
+        if (!(await verifyGuardedSecondFactor(req, res, user))) return;
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+        res.json({ message: 'Recovery codes regenerated.', recoveryCodes: codes });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Second login step: trade the intermediate token plus a code for a session
+router.post('/verify', async (req, res) => {
+    const { twoFactorToken } = req.body || {};
+
+    if (typeof twoFactorToken !== 'string' || !twoFactorToken) {
+        return res.status(400).json({ message: 'Two-factor token is required.' });
+    }
+
+    try {
+        const userId = verifyTwoFactorToken(twoFactorToken);
+
+        const user = await User.findById(userId).select(`-password ${SECRET_FIELDS}`);
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(401).json({ message: 'Two-factor session expired.' });
+        }
+
+        // 验证码同样计入登录失败次数
+        const method = await verifyGuardedSecondFactor(req, res, user);
+        if (!method) return;
+
+        const { token, refreshToken } = await createSession(user, req);
+        const recoveryCodesRemaining = user.twoFactor.recoveryCodes.length - (method === 'recovery_code' ? 1 : 0);
+
+        res.json({
+            message: 'Login successful.',
+            token,
+            refreshToken,
+            recoveryCodesRemaining,
+            user: {
+                id: user._id,
+                username: user.username,
+                avatarname: user.avatarname,
+                avatarimg: user.avatarimg,
+                bio: user.bio,
+                registertime: user.registertime,
+                deletionScheduledFor: user.deletionScheduledFor,
+            },
+        });
+    } catch (error) {
+        if (error.name === 'TokenError') {
+            return res.status(401).json({ message: `${error.message}.` });
+        }
+        console.error('2FA verify error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+export default router;
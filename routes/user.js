@@ -1,8 +1,49 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Follow from '../models/Follow.js';
+import DataExport from '../models/DataExport.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import Session from '../models/Session.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import validateObjectId from '../middleware/validateObjectId.js';
+import { isBlockedBetween, syncAuthorPrivacy } from '../utils/visibility.js';
+import { buildCursorFilter, paginateResults } from '../utils/pagination.js';
+import { createFollow, removeFollow, isFollowing, getFollowRelations } from '../utils/followService.js';
+import { getSuggestions, invalidateSuggestions } from '../utils/suggestionService.js';
+import { escapeRegex, validateUsername, validateEmail } from '../utils/validation.js';
+import {
+    findUserByHandle,
+    isUsernameReserved,
+    USERNAME_CHANGE_INTERVAL_MS,
+    USERNAME_RESERVATION_MS
+} from '../utils/usernameService.js';
+import {
+    createSession,
+    rotateRefreshToken,
+    signAccessToken,
+    signTwoFactorToken,
+    verifyAccessToken,
+    revokeSessions
+} from '../utils/tokenService.js';
+import {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    consumeEmailToken,
+    revokeEmailTokens,
+    isEmailOnCooldown
+} from '../utils/emailService.js';
+import {
+    reserveLoginAttempt,
+    recordLoginFailure,
+    recordLoginSuccess,
+    releaseLoginAttempt,
+    sendLoginBlocked
+} from '../utils/loginGuard.js';
+import { createNotifications } from '../utils/notificationService.js';
+import { getPresignedUrl } from '../utils/ossClient.js';
+import { DELETION_GRACE_MS } from '../utils/accountDeletion.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -13,14 +54,57 @@ const router = express.Router();
 // Tool function: look up user by ID
 const findUserById = async (id) => await User.findById(id);
 
-// Tool function: generate JWT token
-const generateToken = (user) =>
+// Tool function: send follow request / approval notifications (failures don't affect the follow itself)
+const notifyFollowEvent = async (type, fromId, toIds, message) => {
+    try {
+        await createNotifications({ type, from: fromId, to: toIds, message });
+    } catch (error) {
+        console.error(`Failed to create ${type} notification:`, error);
+    }
+};
+
+// Tool function: turn pending requests into follows
+const acceptFollowRequests = async (target, requesterIds) => {
+    if (requesterIds.length === 0) return;
+
+    for (const requesterId of requesterIds) {
+        await createFollow(requesterId, target._id);
+    }
+    await FollowRequest.deleteMany({ to: target._id, from: { $in: requesterIds } });
+    invalidateSuggestions(...requesterIds);
+
+    await notifyFollowEvent('follow_accept', target._id, requesterIds, `${target.username} accepted your follow request`);
+};
 
-    jwt.sign(
-        { userId: user._id, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-    );
+// Tool function: read the caller's user ID from an optional Bearer token
+const getViewerId = async (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+
+    try {
+        return (await verifyAccessToken(authHeader.split(' ')[1])).userId || null;
+    } catch {
+        return null;
+    }
+};
+
+// Tool function: normalize an email from the request body; null clears it
+const parseEmailInput = (email) => {
+    if (email === null || email === '') return { value: null };
+    if (typeof email !== 'string' || email.length > 254 || !validateEmail(email.trim())) {
+        return { error: 'Invalid email address.' };
+    }
+    return { value: email.trim().toLowerCase() };
+};
+
+// Tool function: send a verification email without failing the request
+const trySendVerificationEmail = async (user) => {
+    try {
+        await sendVerificationEmail(user);
+    } catch (error) {
+        console.error('Verification email error:', error);
+    }
+};
 
 router.post('/login', async (req, res) => {
     const { username, password } = req.body;
@@ -43,16 +127,37 @@ router.post('/login', async (req, res) => {
 
     try {
         const user = await User.findOne({ username });
+
+        // 按账号和 IP 限制失败次数：先预留本次尝试，被拦截时不校验密码
+        const attempt = await reserveLoginAttempt(req, { user, username, method: 'password' });
+        if (attempt.blocked) {
+            return sendLoginBlocked(res, attempt.blocked);
+        }
+
         if (!user) {
+            await recordLoginFailure(attempt, 'unknown_user');
             return res.status(401).json({ message: 'Invalid username or password.' });
         }
 
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await recordLoginFailure(attempt, 'invalid_password');
             return res.status(401).json({ message: 'Invalid username or password.' });
         }
 
-        const token = generateToken(user);
+        // 开启两步验证时，先签发中间令牌，由 /2fa/verify 完成登录（失败计数也在那里清空）
+        if (user.twoFactor?.enabled) {
+            await releaseLoginAttempt(attempt);
+            return res.json({
+                message: 'Two-factor authentication required.',
+                twoFactorRequired: true,
+                twoFactorToken: signTwoFactorToken(user)
+            });
+        }
+
+        await recordLoginSuccess(attempt);
+
+        const { token, refreshToken } = await createSession(user, req);
 
         if (DEBUG) {
             console.log('Login successful:', {
@@ -65,6 +170,7 @@ router.post('/login', async (req, res) => {
         res.json({
             message: 'Login successful.',
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 username: user.username,
@@ -72,6 +178,9 @@ router.post('/login', async (req, res) => {
                 avatarimg: user.avatarimg,
                 bio: user.bio,
                 registertime: user.registertime,
+                email: user.email || null,
+                emailVerified: user.emailVerified,
+                deletionScheduledFor: user.deletionScheduledFor,
             },
         });
     } catch (error) {
@@ -87,7 +196,7 @@ router.post('/register', async (req, res) => {
         return res.status(403).json({ message: 'Registration is currently disabled.' });
     }
 
-    const { username, password, avatarname, avatarimg, bio } = req.body;
+    const { username, password, avatarname, avatarimg, bio, email } = req.body;
 
     if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
         return res.status(400).json({ message: 'Username and password are required.' });
@@ -114,12 +223,21 @@ router.post('/register', async (req, res) => {
         return res.status(400).json({ message: 'Bio must be a string and less than 500 characters.' });
     }
 
+    const { value: normalizedEmail, error: emailError } = email !== undefined ? parseEmailInput(email) : {};
+    if (emailError) {
+        return res.status(400).json({ message: emailError });
+    }
+
     try {
         const existingUser = await User.findOne({ username });
-        if (existingUser) {
+        if (existingUser || await isUsernameReserved(username, null)) {
             return res.status(409).json({ message: 'Username already exists.' });
         }
 
+        if (normalizedEmail && await User.exists({ email: normalizedEmail })) {
+            return res.status(409).json({ message: 'Email already in use.' });
+        }
+
         const hashedPassword = await bcrypt.hash(password, 10);
 
         const newUser = new User({
@@ -128,15 +246,19 @@ router.post('/register', async (req, res) => {
             avatarname: avatarname || '',
             avatarimg: avatarimg || '',
             bio: bio || '',
+            ...(normalizedEmail ? { email: normalizedEmail } : {}),
             registertime: new Date(),
         });
 
         await newUser.save();
-        const token = generateToken(newUser);
+        const { token, refreshToken } = await createSession(newUser, req);
+
+        if (newUser.email) await trySendVerificationEmail(newUser);
 
         res.status(201).json({
             message: 'Registration successful.',
             token,
+            refreshToken,
             user: {
                 id: newUser._id,
                 username: newUser.username,
@@ -144,14 +266,254 @@ router.post('/register', async (req, res) => {
                 avatarimg: newUser.avatarimg,
                 bio: newUser.bio,
                 registertime: newUser.registertime,
+                email: newUser.email || null,
+                emailVerified: newUser.emailVerified,
             },
         });
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Username or email already exists.' });
+        }
         console.error('Register Error:', error);
         res.status(500).json({ message: 'Internal server error.' });
     }
 });
 
+// Exchange a refresh token for a new token pair; each refresh token works once
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    try {
+        const session = await rotateRefreshToken(refreshToken, req);
+
+        res.json({
+            message: 'Token refreshed.',
+            token: session.token,
+            refreshToken: session.refreshToken
+        });
+    } catch (error) {
+        if (error.name === 'TokenError') {
+            return res.status(401).json({ message: `${error.message}.` });
+        }
+        console.error('Refresh token error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Sign out of the current session
+router.post('/logout', authMiddleware, async (req, res) => {
+    try {
+        await revokeSessions(req.user.userId, { sessionId: req.user.sessionId, reason: 'logout' });
+        res.json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// List my signed-in devices
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ lastUsedAt: -1 })
+            .select('userAgent ip createdAt lastUsedAt expiresAt');
+
+        res.json({
+            sessions: sessions.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session._id.toString() === req.user.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Sign out every other device (the current session is kept unless includeCurrent=true)
+router.delete('/sessions', authMiddleware, async (req, res) => {
+    const includeCurrent = req.query.includeCurrent === 'true';
+
+    try {
+        const revoked = await revokeSessions(req.user.userId, {
+            exceptSessionId: includeCurrent ? null : req.user.sessionId
+        });
+        res.json({ message: 'Sessions revoked.', revoked });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authMiddleware, validateObjectId('sessionId'), async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.user.userId, { sessionId: req.params.sessionId });
+        if (revoked === 0) {
+            return res.status(404).json({ message: 'Session not found.' });
+        }
+        res.json({ message: 'Session revoked.' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Confirm an email address from the link in the verification email
+router.post('/email/verify', async (req, res) => {
+    const { token } = req.body || {};
+
+    if (typeof token !== 'string' || !token) {
+        return res.status(400).json({ message: 'Token is required.' });
+    }
+
+    try {
+        const emailToken = await consumeEmailToken(token, 'verify_email');
+
+        // 链接发出后邮箱又被修改过，则不再有效
+        const user = emailToken && await User.findOneAndUpdate(
+            { _id: emailToken.user, email: emailToken.email },
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ message: 'This link is invalid or has expired.' });
+        }
+
+        res.json({ message: 'Email verified successfully.', email: user.email });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Send the verification email again
+router.post('/email/resend', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('username email emailVerified');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (!user.email) {
+            return res.status(400).json({ message: 'No email address on this account.' });
+        }
+
+        if (user.emailVerified) {
+            return res.status(400).json({ message: 'Email is already verified.' });
+        }
+
+        if (await isEmailOnCooldown(user._id, 'verify_email')) {
+            return res.status(429).json({ message: 'Please wait before requesting another email.' });
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent.' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Request a password reset link; the response never reveals whether the address is registered
+router.post('/password/forgot', async (req, res) => {
+    const { value: email, error: emailError } = parseEmailInput(req.body?.email);
+
+    if (emailError || !email) {
+        return res.status(400).json({ message: 'A valid email address is required.' });
+    }
+
+    try {
+        const user = await User.findOne({ email, emailVerified: true }).select('username email');
+        if (user && !(await isEmailOnCooldown(user._id, 'reset_password'))) {
+            await sendPasswordResetEmail(user);
+        }
+    } catch (error) {
+        console.error('Forgot password error:', error);
+    }
+
+    res.status(202).json({ message: 'If that email is registered and verified, a reset link has been sent.' });
+});
+
+// Set a new password with a reset token; signs out every session
+router.post('/password/reset', async (req, res) => {
+    const { token, password } = req.body || {};
+
+    if (typeof token !== 'string' || !token || typeof password !== 'string') {
+        return res.status(400).json({ message: 'Token and password are required.' });
+    }
+
+    if (password.length < 6) {
+        return res.status(400).json({ message: 'Password must be at least 6 characters long.' });
+    }
+
+    try {
+        const emailToken = await consumeEmailToken(token, 'reset_password');
+        if (!emailToken) {
+            return res.status(400).json({ message: 'This link is invalid or has expired.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const user = await User.findOneAndUpdate(
+            { _id: emailToken.user, email: emailToken.email },
+            {
+                $set: {
+                    password: hashedPassword,
+                    passwordChangedAt: new Date(),
+                    // 重置密码即解除锁定
+                    failedLoginCount: 0,
+                    lastFailedLoginAt: null,
+                    loginLockedUntil: null,
+                    loginRetryAt: null
+                }
+            }
+        );
+        if (!user) {
+            return res.status(400).json({ message: 'This link is invalid or has expired.' });
+        }
+
+        await Promise.all([
+            revokeSessions(user._id, { reason: 'password_reset' }),
+            revokeEmailTokens(user._id, 'reset_password')
+        ]);
+
+        res.json({ message: 'Password reset successfully. Please log in again.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Who to follow: friends-of-friends, shared likes and shared groups
+router.get('/suggestions', authMiddleware, async (req, res) => {
+    const { limit = 10 } = req.query;
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 50) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 50).' });
+    }
+
+    try {
+        const suggestions = await getSuggestions(req.user.userId, parsedLimit);
+        res.json({ suggestions });
+    } catch (error) {
+        console.error('Fetch suggestions error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
 
 router.get('/search', async (req, res) => {
     const { keyword } = req.query;
@@ -165,14 +527,17 @@ router.get('/search', async (req, res) => {
     }
 
     try {
-        const regex = new RegExp(keyword.trim(), 'i');
+        // 前缀匹配，用户输入按字面处理；全文搜索见 /api/search
+        const regex = new RegExp(`^${escapeRegex(keyword.trim())}`, 'i');
 
         const users = await User.find({
             $or: [
                 { username: regex },
                 { avatarname: regex }
             ]
-        }).select('username avatarname avatarimg badges followers following');
+        })
+            .limit(50)
+            .select('username avatarname avatarimg badges followersCount followingCount');
 
         res.json({ users });
     } catch (error) {
@@ -183,9 +548,9 @@ router.get('/search', async (req, res) => {
 
 router.put('/edit-profile', authMiddleware, async (req, res) => {
     try {
-        const { avatarname, avatarimg, bio } = req.body;
+        const { avatarname, avatarimg, bio, isPrivate, email } = req.body;
 
-        if (!avatarname && !avatarimg && !bio) {
+        if (!avatarname && !avatarimg && !bio && isPrivate === undefined && email === undefined) {
             return res.status(400).json({ message: 'No data to update.' });
         }
         
@@ -202,6 +567,15 @@ router.put('/edit-profile', authMiddleware, async (req, res) => {
             return res.status(400).json({ message: 'Bio must be a string and less than 500 characters.' });
         }
 
+        if (isPrivate !== undefined && typeof isPrivate !== 'boolean') {
+            return res.status(400).json({ message: 'isPrivate must be a boolean.' });
+        }
+
+        const { value: normalizedEmail, error: emailError } = email !== undefined ? parseEmailInput(email) : {};
+        if (emailError) {
+            return res.status(400).json({ message: emailError });
+        }
+
         const user = await User.findById(req.user.userId);
         if (!user) {
             return res.status(404).json({ message: 'User not found.' });
@@ -211,8 +585,34 @@ router.put('/edit-profile', authMiddleware, async (req, res) => {
         if (avatarimg !== undefined) user.avatarimg = avatarimg;
         if (bio !== undefined) user.bio = bio;
 
+        // 改为公开账号时，自动通过所有待处理的关注请求
+        const becamePublic = user.isPrivate && isPrivate === false;
+        const privacyChanged = isPrivate !== undefined && isPrivate !== user.isPrivate;
+        if (isPrivate !== undefined) user.isPrivate = isPrivate;
+
+        // 更换邮箱后需要重新验证
+        const emailChanged = email !== undefined && normalizedEmail !== (user.email || null);
+        if (emailChanged) {
+            if (normalizedEmail && await User.exists({ email: normalizedEmail, _id: { $ne: user._id } })) {
+                return res.status(409).json({ message: 'Email already in use.' });
+            }
+            user.email = normalizedEmail || undefined;
+            user.emailVerified = false;
+            user.emailVerifiedAt = null;
+            await revokeEmailTokens(user._id, 'verify_email');
+        }
+
         await user.save();
 
+        if (emailChanged && user.email) await trySendVerificationEmail(user);
+
+        if (privacyChanged) await syncAuthorPrivacy(user._id, user.isPrivate);
+
+        if (becamePublic) {
+            const pending = await FollowRequest.find({ to: user._id }).distinct('from');
+            await acceptFollowRequests(user, pending);
+        }
+
         res.json({ 
             message: 'Profile updated successfully.',
             user: {
@@ -222,10 +622,16 @@ router.put('/edit-profile', authMiddleware, async (req, res) => {
                 avatarimg: user.avatarimg,
                 bio: user.bio,
                 registertime: user.registertime,
-                badges: user.badges
+                badges: user.badges,
+                isPrivate: user.isPrivate,
+                email: user.email || null,
+                emailVerified: user.emailVerified
             }
         });
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Email already in use.' });
+        }
         console.error('Profile update error:', error);
         res.status(500).json({ message: 'Internal server error.' });
     }
@@ -254,19 +660,37 @@ router.post('/follow/:targetId', authMiddleware, async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
-        const alreadyFollowing = user.following.includes(target._id);
+        if (await isBlockedBetween(user._id, target._id)) {
+            return res.status(403).json({ message: 'You cannot follow this user.' });
+        }
+
+        const alreadyFollowing = await isFollowing(user._id, target._id);
         if (alreadyFollowing) {
             return res.status(400).json({ message: 'You are already following this user.' });
         }
 
-        await Promise.all([
-            User.findByIdAndUpdate(userId, {
-                $addToSet: { following: target._id }
-            }),
-            User.findByIdAndUpdate(targetId, {
-                $addToSet: { followers: user._id }
-            })
-        ]);
+        // 私密账号：创建待处理的关注请求，由对方批准
+        if (target.isPrivate) {
+            try {
+                await FollowRequest.create({ from: user._id, to: target._id });
+            } catch (error) {
+                if (error.code === 11000) {
+                    return res.status(400).json({ message: 'Follow request already sent.' });
+                }
+                throw error;
+            }
+
+            await notifyFollowEvent('follow_request', user._id, [target._id], `${user.username} requested to follow you`);
+            invalidateSuggestions(user._id);
+
+            return res.status(202).json({ message: 'Follow request sent.', pending: true });
+        }
+
+        const created = await createFollow(user._id, target._id);
+        invalidateSuggestions(user._id);
+        if (!created) {
+            return res.status(400).json({ message: 'You are already following this user.' });
+        }
 
         res.json({ message: 'Followed successfully.' });
     } catch (error) {
@@ -298,20 +722,17 @@ router.delete('/unfollow/:targetId', authMiddleware, async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
-        const isFollowing = user.following.includes(target._id);
-        if (!isFollowing) {
+        const removed = await removeFollow(user._id, target._id);
+        invalidateSuggestions(user._id);
+        if (!removed) {
+            // 尚未通过的关注请求直接撤回
+            const { deletedCount } = await FollowRequest.deleteOne({ from: user._id, to: target._id });
+            if (deletedCount > 0) {
+                return res.json({ message: 'Follow request cancelled.' });
+            }
             return res.status(400).json({ message: 'You are not following this user.' });
         }
 
-        await Promise.all([
-            User.findByIdAndUpdate(userId, {
-                $pull: { following: target._id }
-            }),
-            User.findByIdAndUpdate(targetId, {
-                $pull: { followers: user._id }
-            })
-        ]);
-
         res.json({ message: 'Unfollowed successfully.' });
     } catch (error) {
         console.error('Unfollow error:', error);
@@ -319,6 +740,452 @@ router.delete('/unfollow/:targetId', authMiddleware, async (req, res) => {
     }
 });
 
+// Tool function: add/remove a user in one of the caller's relation lists (blocked / muted)
+const updateRelationList = (field, action, successMessage) => async (req, res) => {
+    const { userId } = req.user;
+    const { targetId } = req.params;
+
+    if (userId === targetId) {
+        return res.status(400).json({ message: `You cannot ${action} yourself.` });
+    }
+
+    try {
+        const target = await User.findById(targetId).select('_id');
+        if (!target) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const adding = action === 'block' || action === 'mute';
+        const update = adding
+            ? { $addToSet: { [field]: target._id } }
+            : { $pull: { [field]: target._id } };
+
+        // 屏蔽时双向取消关注，并撤销双方之间的关注请求
+        if (action === 'block') {
+            await Promise.all([
+                removeFollow(userId, target._id),
+                removeFollow(target._id, userId),
+                FollowRequest.deleteMany({
+                    $or: [{ from: userId, to: target._id }, { from: target._id, to: userId }]
+                })
+            ]);
+        }
+
+        const user = await User.findByIdAndUpdate(userId, update, { new: true });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        invalidateSuggestions(userId, target._id);
+
+        res.json({ message: successMessage });
+    } catch (error) {
+        console.error(`${action} error:`, error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+};
+
+router.post('/block/:targetId', authMiddleware, validateObjectId('targetId'), updateRelationList('blocked', 'block', 'User blocked successfully.'));
+router.delete('/block/:targetId', authMiddleware, validateObjectId('targetId'), updateRelationList('blocked', 'unblock', 'User unblocked successfully.'));
+router.post('/mute/:targetId', authMiddleware, validateObjectId('targetId'), updateRelationList('muted', 'mute', 'User muted successfully.'));
+router.delete('/mute/:targetId', authMiddleware, validateObjectId('targetId'), updateRelationList('muted', 'unmute', 'User unmuted successfully.'));
+
+router.get('/blocks', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId)
+            .populate('blocked', 'username avatarname avatarimg badges');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.json({ users: user.blocked });
+    } catch (error) {
+        console.error('Fetch blocks error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+router.get('/mutes', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId)
+            .populate('muted', 'username avatarname avatarimg badges');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.json({ users: user.muted });
+    } catch (error) {
+        console.error('Fetch mutes error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Tool function: list pending follow requests in one direction (incoming: sent to me, outgoing: sent by me)
+const listFollowRequests = (direction) => async (req, res) => {
+    const { cursor, limit = 20 } = req.query;
+    const { userId } = req.user;
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 100).' });
+    }
+
+    let cursorFilter = {};
+    if (cursor !== undefined) {
+        cursorFilter = buildCursorFilter(cursor);
+        if (!cursorFilter) {
+            return res.status(400).json({ message: 'Invalid cursor.' });
+        }
+    }
+
+    const [ownField, otherField] = direction === 'incoming' ? ['to', 'from'] : ['from', 'to'];
+
+    try {
+        const requests = await FollowRequest.find({ [ownField]: userId, ...cursorFilter })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(parsedLimit + 1)
+            .populate(otherField, 'username avatarname avatarimg badges');
+
+        const { items, nextCursor, hasMore } = paginateResults(requests, parsedLimit);
+
+        res.json({
+            requests: items
+                .filter(request => request[otherField])
+                .map(request => ({
+                    _id: request._id,
+                    user: request[otherField],
+                    createdAt: request.createdAt
+                })),
+            nextCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error(`Fetch ${direction} follow requests error:`, error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+};
+
+router.get('/follow-requests/incoming', authMiddleware, listFollowRequests('incoming'));
+router.get('/follow-requests/outgoing', authMiddleware, listFollowRequests('outgoing'));
+
+router.post('/follow-requests/:requesterId/approve', authMiddleware, validateObjectId('requesterId'), async (req, res) => {
+    const { userId } = req.user;
+    const { requesterId } = req.params;
+
+    try {
+        const request = await FollowRequest.findOne({ from: requesterId, to: userId });
+        if (!request) {
+            return res.status(404).json({ message: 'Follow request not found.' });
+        }
+
+        const user = await User.findById(userId).select('username');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        await acceptFollowRequests(user, [request.from]);
+
+        res.json({ message: 'Follow request approved.' });
+    } catch (error) {
+        console.error('Approve follow request error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+router.post('/follow-requests/:requesterId/reject', authMiddleware, validateObjectId('requesterId'), async (req, res) => {
+    const { userId } = req.user;
+    const { requesterId } = req.params;
+
+    try {
+        const { deletedCount } = await FollowRequest.deleteOne({ from: requesterId, to: userId });
+        if (deletedCount === 0) {
+            return res.status(404).json({ message: 'Follow request not found.' });
+        }
+
+        res.json({ message: 'Follow request rejected.' });
+    } catch (error) {
+        console.error('Reject follow request error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Change my username; the old handle keeps resolving to me and stays reserved for a while
+router.put('/username', authMiddleware, async (req, res) => {
+    const { username } = req.body;
+    const { userId } = req.user;
+
+    if (!validateUsername(username)) {
+        return res.status(400).json({ message: 'Username must be 3-20 characters of letters, numbers and underscores.' });
+    }
+
+    try {
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (user.username === username) {
+            return res.status(400).json({ message: 'This is already your username.' });
+        }
+
+        if (user.usernameChangedAt) {
+            const nextChangeAt = new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_INTERVAL_MS);
+            if (nextChangeAt > new Date()) {
+                return res.status(429).json({ message: 'You can only change your username once per period.', nextChangeAt });
+            }
+        }
+
+        if (await User.exists({ username }) || await isUsernameReserved(username, user._id)) {
+            return res.status(409).json({ message: 'Username already exists.' });
+        }
+
+        const oldUsername = user.username;
+        const now = new Date();
+
+        let updatedUser;
+        try {
+            // 条件更新：并发的改名请求只有一个会成功
+            updatedUser = await User.findOneAndUpdate(
+                { _id: user._id, username: oldUsername },
+                { $set: { username, usernameChangedAt: now } },
+                { new: true }
+            );
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'Username already exists.' });
+            }
+            throw error;
+        }
+
+        if (!updatedUser) {
+            return res.status(409).json({ message: 'Username was changed by another request.' });
+        }
+
+        await UsernameHistory.create({
+            user: user._id,
+            username: oldUsername,
+            changedAt: now,
+            reservedUntil: new Date(now.getTime() + USERNAME_RESERVATION_MS)
+        });
+
+        // 旧 token 中的用户名已过期，重新签发；在线连接同步更新
+        const token = signAccessToken(updatedUser, req.user.sessionId);
+        global.socketServer?.updateUsername(updatedUser);
+
+        res.json({
+            message: 'Username changed successfully.',
+            token,
+            user: {
+                id: updatedUser._id,
+                username: updatedUser.username,
+                previousUsername: oldUsername,
+                usernameChangedAt: updatedUser.usernameChangedAt
+            }
+        });
+    } catch (error) {
+        console.error('Change username error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Tool function: public view of a data export
+const EXPORT_LINK_TTL_SECONDS = 60 * 60;
+const formatExport = async (dataExport) => ({
+    _id: dataExport._id,
+    status: dataExport.status,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+    size: dataExport.size,
+    // 私有下载链接，过期后需要重新获取
+    downloadUrl: dataExport.status === 'ready' && dataExport.fileName
+        ? await getPresignedUrl(dataExport.fileName, EXPORT_LINK_TTL_SECONDS)
+        : null
+});
+
+// Request an archive of all my data; it is built in the background
+router.post('/export', authMiddleware, async (req, res) => {
+    const { userId } = req.user;
+
+    try {
+        const inProgress = await DataExport.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+        if (inProgress) {
+            return res.status(409).json({
+                message: 'An export is already in progress.',
+                export: await formatExport(inProgress)
+            });
+        }
+
+        const dataExport = await DataExport.create({ user: userId });
+
+        res.status(202).json({ message: 'Export requested.', export: await formatExport(dataExport) });
+    } catch (error) {
+        console.error('Request export error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+router.get('/export', authMiddleware, async (req, res) => {
+    try {
+        const exports = await DataExport.find({ user: req.user.userId })
+            .sort({ createdAt: -1 })
+            .limit(10);
+
+        res.json({ exports: await Promise.all(exports.map(formatExport)) });
+    } catch (error) {
+        console.error('Fetch exports error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+router.get('/export/:exportId', authMiddleware, validateObjectId('exportId'), async (req, res) => {
+    try {
+        const dataExport = await DataExport.findOne({ _id: req.params.exportId, user: req.user.userId });
+        if (!dataExport) {
+            return res.status(404).json({ message: 'Export not found.' });
+        }
+
+        res.json({ export: await formatExport(dataExport) });
+    } catch (error) {
+        console.error('Fetch export error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Schedule my account for deletion after a grace period
+router.delete('/me', authMiddleware, async (req, res) => {
+    const { password } = req.body || {};
+
+    if (typeof password !== 'string' || !password) {
+        return res.status(400).json({ message: 'Password is required to delete your account.' });
+    }
+
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch) {
+            return res.status(401).json({ message: 'Incorrect password.' });
+        }
+
+        if (!user.deletionScheduledFor) {
+            const now = new Date();
+            user.deletionRequestedAt = now;
+            user.deletionScheduledFor = new Date(now.getTime() + DELETION_GRACE_MS);
+            await user.save();
+        }
+
+        res.status(202).json({
+            message: 'Account scheduled for deletion.',
+            deletionScheduledFor: user.deletionScheduledFor
+        });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Cancel a pending account deletion during the grace period
+router.post('/me/restore', authMiddleware, async (req, res) => {
+    try {
+        // 清理已经开始的账号不能再恢复
+        const user = await User.findOneAndUpdate(
+            { _id: req.user.userId, deletionScheduledFor: { $ne: null }, deletionLockedAt: null },
+            { $set: { deletionRequestedAt: null, deletionScheduledFor: null } },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({ message: 'Account is not scheduled for deletion.' });
+        }
+
+        res.json({ message: 'Account deletion cancelled.' });
+    } catch (error) {
+        console.error('Restore account error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// Tool function: page through a user's followers or following, with the caller's relation to each entry
+const listFollows = (direction) => async (req, res) => {
+    const { username } = req.params;
+    const { cursor, limit = 20 } = req.query;
+    const { userId } = req.user;
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({ message: 'Invalid limit (must be between 1 and 100).' });
+    }
+
+    let cursorFilter = {};
+    if (cursor !== undefined) {
+        cursorFilter = buildCursorFilter(cursor);
+        if (!cursorFilter) {
+            return res.status(400).json({ message: 'Invalid cursor.' });
+        }
+    }
+
+    // followers: 关注该用户的人；following: 该用户关注的人
+    const [ownField, otherField] = direction === 'followers' ? ['following', 'follower'] : ['follower', 'following'];
+
+    try {
+        const { user } = await findUserByHandle(username, 'isPrivate');
+        if (!user || await isBlockedBetween(userId, user._id)) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        // 私密账号的关注列表只对本人和已批准的关注者可见
+        if (user.isPrivate && user._id.toString() !== userId && !(await isFollowing(userId, user._id))) {
+            return res.status(403).json({ message: 'This account is private.' });
+        }
+
+        const follows = await Follow.find({ [ownField]: user._id, ...cursorFilter })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(parsedLimit + 1)
+            .populate(otherField, 'username avatarname avatarimg badges isPrivate');
+
+        const { items, nextCursor, hasMore } = paginateResults(follows, parsedLimit);
+        const entries = items.filter(follow => follow[otherField]);
+        const relations = await getFollowRelations(userId, entries.map(follow => follow[otherField]._id));
+
+        res.json({
+            users: entries.map(follow => {
+                const id = follow[otherField]._id.toString();
+                return {
+                    ...follow[otherField].toObject(),
+                    followedAt: follow.createdAt,
+                    isFollowing: relations.following.has(id),
+                    followsYou: relations.followedBy.has(id)
+                };
+            }),
+            nextCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error(`Fetch ${direction} error:`, error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+};
+
+router.get('/:username/followers', authMiddleware, listFollows('followers'));
+router.get('/:username/following', authMiddleware, listFollows('following'));
+
+// Tool function: first page of a user's followers or following, embedded in the profile for older clients
+const PROFILE_FOLLOW_PREVIEW = 20;
+const getFollowPreview = async (userId, direction) => {
+    const [ownField, otherField] = direction === 'followers' ? ['following', 'follower'] : ['follower', 'following'];
+    const follows = await Follow.find({ [ownField]: userId })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(PROFILE_FOLLOW_PREVIEW + 1)
+        .populate(otherField, 'username avatarname avatarimg badges');
+
+    const { items, nextCursor } = paginateResults(follows, PROFILE_FOLLOW_PREVIEW);
+    return { users: items.map(follow => follow[otherField]).filter(Boolean), nextCursor };
+};
+
 router.get('/:username', async (req, res) => {
     const { username } = req.params;
 
@@ -331,16 +1198,28 @@ router.get('/:username', async (req, res) => {
     }
 
     try {
-        const user = await User.findOne({ username })
-            .populate('followers', 'username avatarname avatarimg badges')
-            .populate('following', 'username avatarname avatarimg badges');
+        // 旧用户名解析到改名后的账号
+        const { user, redirectedFrom } = await findUserByHandle(username);
 
         if (!user) {
             return res.status(404).json({ message: 'User not found.' });
         }
 
-        const followers = user.followers || [];
-        const following = user.following || [];
+        // 登录用户额外返回与该用户的关注关系
+        const viewerId = await getViewerId(req);
+        const [relations, followRequested] = await Promise.all([
+            getFollowRelations(viewerId, [user._id]),
+            viewerId ? FollowRequest.exists({ from: viewerId, to: user._id }) : null
+        ]);
+
+        // 关注列表只返回第一页，其余通过 /:username/followers 和 /:username/following 的 cursor 翻页
+        // 私密账号的列表只对本人和已批准的关注者可见
+        const isSelf = viewerId && viewerId === user._id.toString();
+        const canSeeFollows = !user.isPrivate || isSelf || relations.following.has(user._id.toString());
+        const empty = { users: [], nextCursor: null };
+        const [followers, following] = canSeeFollows
+            ? await Promise.all([getFollowPreview(user._id, 'followers'), getFollowPreview(user._id, 'following')])
+            : [empty, empty];
 
         res.json({
             user: {
@@ -351,13 +1230,20 @@ router.get('/:username', async (req, res) => {
                 bio: user.bio,
                 registertime: user.registertime,
                 badges: user.badges,
-                followersCount: followers.length,
-                followingCount: following.length,
-                followers,
-                following,
-                followerIds: followers.map(f => f._id.toString()),
-                followingIds: following.map(f => f._id.toString())
-            }
+                isPrivate: user.isPrivate,
+                followersCount: user.followersCount,
+                followingCount: user.followingCount,
+                followers: followers.users,
+                following: following.users,
+                followerIds: followers.users.map(f => f._id.toString()),
+                followingIds: following.users.map(f => f._id.toString()),
+                followersCursor: followers.nextCursor,
+                followingCursor: following.nextCursor,
+                isFollowing: relations.following.has(user._id.toString()),
+                followsYou: relations.followedBy.has(user._id.toString()),
+                followRequested: Boolean(followRequested)
+            },
+            redirectedFrom
         });
     } catch (error) {
         console.error('Error fetching user profile:', error);
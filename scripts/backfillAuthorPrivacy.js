@@ -0,0 +1,36 @@
+// 为已有帖子回填 authorPrivate（字段上线前的帖子，或切换隐私设置时同步中断的作者）
+// 用法: node scripts/backfillAuthorPrivacy.js
+import mongoose from 'mongoose';
+import connectDB from '../utils/db.js';
+import logger from '../utils/logger.js';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+
+const run = async () => {
+    await connectDB();
+
+    let marked = 0;
+    for await (const user of User.find({ isPrivate: true }).select('_id').lean().cursor()) {
+        const result = await Post.updateMany(
+            { author: user._id, authorPrivate: { $ne: true } },
+            { $set: { authorPrivate: true } }
+        );
+        marked += result.modifiedCount;
+    }
+
+    // 已改回公开的作者
+    const flaggedAuthors = await Post.distinct('author', { authorPrivate: true });
+    const publicAuthors = await User.find({ _id: { $in: flaggedAuthors }, isPrivate: { $ne: true } }).distinct('_id');
+    const cleared = publicAuthors.length > 0
+        ? (await Post.updateMany({ author: { $in: publicAuthors }, authorPrivate: true }, { $set: { authorPrivate: false } })).modifiedCount
+        : 0;
+
+    logger.success(`Marked ${marked} posts from private accounts, cleared ${cleared} posts from public accounts`);
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    logger.error('Author privacy backfill failed', error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
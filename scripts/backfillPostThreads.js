@@ -0,0 +1,71 @@
+// 为已有帖子回填线程字段（root / ancestors / depth / replyCount）
+// 用法: node scripts/backfillPostThreads.js
+import mongoose from 'mongoose';
+import connectDB from '../utils/db.js';
+import logger from '../utils/logger.js';
+import Post from '../models/Post.js';
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+    await connectDB();
+
+    const parents = new Map();
+    const cursor = Post.find({}, { parent: 1 }).lean().cursor();
+    for await (const post of cursor) {
+        parents.set(post._id.toString(), post.parent ? post.parent.toString() : null);
+    }
+
+    const replyCounts = new Map();
+    for (const parentId of parents.values()) {
+        if (parentId) replyCounts.set(parentId, (replyCounts.get(parentId) || 0) + 1);
+    }
+
+    let ops = [];
+    let updated = 0;
+
+    for (const [id, parentId] of parents) {
+        const ancestors = [];
+        let current = parentId;
+        // 父帖已被删除时，路径在缺失处截断
+        while (current && parents.has(current) && !ancestors.includes(current)) {
+            ancestors.unshift(current);
+            current = parents.get(current);
+        }
+
+        const ancestorIds = ancestors.map(a => new mongoose.Types.ObjectId(a));
+        ops.push({
+            updateOne: {
+                filter: { _id: new mongoose.Types.ObjectId(id) },
+                update: {
+                    $set: {
+                        root: ancestorIds[0] || null,
+                        ancestors: ancestorIds,
+                        depth: ancestorIds.length,
+                        replyCount: replyCounts.get(id) || 0
+                    }
+                }
+            }
+        });
+
+        if (ops.length >= BATCH_SIZE) {
+            await Post.bulkWrite(ops, { ordered: false });
+            updated += ops.length;
+            ops = [];
+        }
+    }
+
+    if (ops.length > 0) {
+        await Post.bulkWrite(ops, { ordered: false });
+        updated += ops.length;
+    }
+
+    logger.success(`Backfilled thread fields for ${updated} posts`);
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    logger.error('Thread backfill failed', error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
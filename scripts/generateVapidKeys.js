@@ -1,2 +1,6 @@
-const webpush = require('web-push');
-console.log(webpush.generateVAPIDKeys());
\ No newline at end of file
+// Generate a VAPID key pair for web push; copy the output into VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY
+import webpush from 'web-push';
+
+const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
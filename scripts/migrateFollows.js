@@ -0,0 +1,90 @@
+// 将 User 中内嵌的 followers / following 数组迁移到 Follow 集合，并回填关注计数
+// 用法: node scripts/migrateFollows.js
+// 可重复执行：已存在的关注关系会被跳过，计数按 Follow 集合重新计算
+import mongoose from 'mongoose';
+import connectDB from '../utils/db.js';
+import logger from '../utils/logger.js';
+import Follow from '../models/Follow.js';
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+    await connectDB();
+
+    // 直接读取原始集合：User 模型中已经没有这两个字段
+    const users = mongoose.connection.collection('users');
+
+    let ops = [];
+    let migrated = 0;
+
+    const flush = async () => {
+        if (ops.length === 0) return;
+        const result = await Follow.bulkWrite(ops, { ordered: false });
+        migrated += result.upsertedCount;
+        ops = [];
+    };
+
+    const addFollow = (follower, following) => {
+        ops.push({
+            updateOne: {
+                filter: { follower, following },
+                update: { $setOnInsert: { createdAt: new Date() } },
+                upsert: true
+            }
+        });
+    };
+
+    const cursor = users.find(
+        { $or: [{ following: { $exists: true } }, { followers: { $exists: true } }] },
+        { projection: { following: 1, followers: 1 } }
+    );
+
+    for await (const user of cursor) {
+        // 两个数组可能不一致，以任一侧的记录为准
+        for (const target of user.following || []) addFollow(user._id, target);
+        for (const source of user.followers || []) addFollow(source, user._id);
+
+        if (ops.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    logger.info(`Migrated ${migrated} follow relations`);
+
+    // 删除指向已不存在用户的关注关系
+    const userIds = await users.distinct('_id');
+    const { deletedCount } = await Follow.deleteMany({
+        $or: [{ follower: { $nin: userIds } }, { following: { $nin: userIds } }]
+    });
+    if (deletedCount > 0) logger.info(`Removed ${deletedCount} dangling follow relations`);
+
+    // 按 Follow 集合重新计算计数
+    const [followerCounts, followingCounts] = await Promise.all([
+        Follow.aggregate([{ $group: { _id: '$following', count: { $sum: 1 } } }]),
+        Follow.aggregate([{ $group: { _id: '$follower', count: { $sum: 1 } } }])
+    ]);
+
+    await users.updateMany({}, { $set: { followersCount: 0, followingCount: 0 } });
+
+    const counterOps = [
+        ...followerCounts.map(({ _id, count }) => ({
+            updateOne: { filter: { _id }, update: { $set: { followersCount: count } } }
+        })),
+        ...followingCounts.map(({ _id, count }) => ({
+            updateOne: { filter: { _id }, update: { $set: { followingCount: count } } }
+        }))
+    ];
+    for (let i = 0; i < counterOps.length; i += BATCH_SIZE) {
+        await users.bulkWrite(counterOps.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    await users.updateMany({}, { $unset: { followers: '', following: '' } });
+
+    logger.success('Follow migration completed');
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    logger.error('Follow migration failed', error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
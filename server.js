@@ -16,12 +16,24 @@ import rateLimit from 'express-rate-limit';
 import connectDB from './utils/db.js';
 import { initializeBucket } from './utils/ossClient.js';
 import userRoutes from './routes/user.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import postRoutes from './routes/post.js';
 import notificationRoutes from './routes/notification.js';
 import passkeyRoutes from './routes/passkey.js';
 import uploadRoutes from './routes/upload.js';
 import messageRoutes from './routes/message.js';
+import bookmarkRoutes from './routes/bookmark.js';
+import draftRoutes from './routes/draft.js';
+import searchRoutes from './routes/search.js';
+import pushRoutes from './routes/push.js';
 import SocketServer from './utils/socketServer.js';
+import { startTrendingJob } from './utils/trendingService.js';
+import { startPostScheduler } from './utils/postScheduler.js';
+import { startPollCloser } from './utils/pollService.js';
+import { startDataExportJob } from './utils/dataExport.js';
+import { startAccountPurgeJob } from './utils/accountDeletion.js';
+import { startNotificationDigestJob } from './utils/notificationDigest.js';
+import { startQuietHoursJob } from './utils/notificationPreferences.js';
 
 const app = express();
 
@@ -133,11 +145,21 @@ const authLimiter = rateLimit({
 app.use(limiter);
 app.use('/api/user', authLimiter); // 用户相关路由使用更严格的限制
 
-// Connect to DB
-connectDB().catch((error) => {
-    logger.error('Failed to connect to database', error);
-    process.exit(1);
-});
+// Connect to DB, then start background jobs
+connectDB()
+    .then(() => {
+        startTrendingJob();
+        startPostScheduler();
+        startPollCloser();
+        startDataExportJob();
+        startAccountPurgeJob();
+        startNotificationDigestJob();
+        startQuietHoursJob();
+    })
+    .catch((error) => {
+        logger.error('Failed to connect to database', error);
+        process.exit(1);
+    });
 
 // Initialize MinIO
 initializeBucket().catch((error) => {
@@ -146,12 +168,17 @@ initializeBucket().catch((error) => {
 });
 
 // Routes
+app.use('/api/user/2fa', twoFactorRoutes); // before userRoutes so /:username does not catch it
 app.use('/api/user', userRoutes);
 app.use('/api/post', postRoutes);
 app.use('/api/notification', notificationRoutes);
 app.use('/api/passkey', passkeyRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/message', messageRoutes);
+app.use('/api/bookmark', bookmarkRoutes);
+app.use('/api/draft', draftRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/push', pushRoutes);
 
 // Health check routes
 app.use('/health', healthRoutes);
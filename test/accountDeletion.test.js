@@ -0,0 +1,85 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Poll from '../models/Poll.js';
+import PollVote from '../models/PollVote.js';
+import PostRevision from '../models/PostRevision.js';
+import Bookmark from '../models/Bookmark.js';
+import TrendingScore from '../models/TrendingScore.js';
+import { purgePosts } from '../utils/accountDeletion.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// 内存中的帖子集合，模拟 purgePosts 用到的 Post 操作
+let store;
+let failDeleteAt;
+
+beforeEach(() => {
+    store = new Map();
+    failDeleteAt = null;
+    let deleteCalls = 0;
+
+    mock.method(Post, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    mock.method(Post, 'deleteOne', async ({ _id }) => {
+        deleteCalls += 1;
+        if (deleteCalls === failDeleteAt) throw new Error('connection lost');
+        return { deletedCount: store.delete(_id.toString()) ? 1 : 0 };
+    });
+    mock.method(Post, 'updateOne', async ({ _id }, { $inc }) => {
+        const post = store.get(_id.toString());
+        if (!post) return { modifiedCount: 0 };
+        Object.entries($inc).forEach(([field, value]) => { post[field] += value; });
+        return { modifiedCount: 1 };
+    });
+    mock.method(Poll, 'find', () => ({ distinct: async () => [] }));
+    mock.method(Poll, 'deleteMany', async () => ({}));
+    mock.method(PollVote, 'deleteMany', async () => ({}));
+    mock.method(PostRevision, 'deleteMany', async () => ({}));
+    mock.method(Bookmark, 'updateMany', async () => ({}));
+    mock.method(TrendingScore, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const addPost = (post) => {
+    const doc = { _id: id(), parent: null, repost: null, quote: null, replyCount: 0, repostCount: 0, quoteCount: 0, ...post };
+    store.set(doc._id.toString(), doc);
+    return doc;
+};
+
+test('a retried purge does not decrement counters twice', async () => {
+    const userId = id();
+    const other = addPost({ author: id(), replyCount: 2, repostCount: 1, quoteCount: 1 });
+    const posts = [
+        addPost({ author: userId, parent: other._id }),
+        addPost({ author: userId, parent: other._id }),
+        addPost({ author: userId, repost: other._id }),
+        addPost({ author: userId, quote: other._id })
+    ].map(post => ({ ...post }));
+
+    failDeleteAt = 3;
+    await assert.rejects(purgePosts(userId, posts), /connection lost/);
+    assert.equal(other.replyCount, 0);
+    assert.equal(other.repostCount, 1);
+
+    // 重试时按原来的列表再执行一遍，已删除的帖子不会再次扣减
+    await purgePosts(userId, posts);
+
+    assert.deepEqual(
+        { replyCount: other.replyCount, repostCount: other.repostCount, quoteCount: other.quoteCount },
+        { replyCount: 0, repostCount: 0, quoteCount: 0 }
+    );
+    assert.deepEqual([...store.keys()], [other._id.toString()]);
+});
+
+test('replies between the user\'s own posts do not touch any counter', async () => {
+    const userId = id();
+    const root = addPost({ author: userId });
+    const reply = addPost({ author: userId, parent: root._id });
+
+    await purgePosts(userId, [{ ...root }, { ...reply }]);
+
+    assert.equal(store.size, 0);
+    assert.equal(Post.updateOne.mock.callCount(), 0);
+});
@@ -0,0 +1,97 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Notification from '../models/Notification.js';
+import Message from '../models/Message.js';
+import Group from '../models/Group.js';
+import Bookmark from '../models/Bookmark.js';
+import BookmarkCollection from '../models/BookmarkCollection.js';
+import Draft from '../models/Draft.js';
+import PollVote from '../models/PollVote.js';
+import Passkey from '../models/Passkey.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import { collectUserFiles, buildExportArchive } from '../utils/dataExport.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// 可链式调用的查询替身，await 时返回给定结果
+const fakeQuery = (result) => {
+    const query = {
+        populate: () => query,
+        select: () => query,
+        sort: () => query,
+        lean: () => query,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return query;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('collectUserFiles lists the user\'s own uploads once', () => {
+    const userId = id();
+    const user = { _id: userId, avatarimg: `https://oss.example/bucket/avatar-${userId}-1.png` };
+    const image = { filename: 'post-1.png', url: 'https://oss.example/bucket/post-1.png' };
+
+    const files = collectUserFiles(user, {
+        posts: [{ images: [image] }, { images: [image] }],
+        drafts: [{ images: [{ filename: 'draft-1.png', url: 'https://oss.example/bucket/draft-1.png' }] }],
+        messages: [
+            { sender: user._id, fileInfo: { filename: 'doc.pdf', url: 'https://oss.example/bucket/doc.pdf' } },
+            { sender: id(), fileInfo: { filename: 'theirs.pdf', url: 'https://oss.example/bucket/theirs.pdf' } }
+        ]
+    });
+
+    assert.deepEqual(files.map(file => [file.source, file.fileName]), [
+        ['post', 'post-1.png'],
+        ['draft', 'draft-1.png'],
+        ['message', 'doc.pdf'],
+        ['avatar', `avatar-${user._id}-1.png`]
+    ]);
+});
+
+test('collectUserFiles does not claim an avatar the user did not upload', () => {
+    const user = { _id: id(), avatarimg: 'https://oss.example/bucket/avatar-someone-else.png' };
+
+    assert.deepEqual(collectUserFiles(user, {}), []);
+});
+
+test('the archive lists files as links and says they only last until the account is purged', async () => {
+    const deletionScheduledFor = new Date('2026-02-01T00:00:00Z');
+    const user = { _id: id(), username: 'alice', deletionScheduledFor };
+    const post = { _id: id(), author: user._id, images: [{ filename: 'post-1.png', url: 'https://oss.example/bucket/post-1.png' }] };
+
+    mock.method(User, 'findById', () => fakeQuery(user));
+    mock.method(Post, 'find', (filter) => fakeQuery(filter.author ? [post] : []));
+    for (const Model of [Follow, FollowRequest, Notification, Message, Group, Bookmark, BookmarkCollection, Draft, PollVote, Passkey, UsernameHistory]) {
+        mock.method(Model, 'find', () => fakeQuery([]));
+    }
+    mock.method(NotificationPreference, 'findOne', () => fakeQuery(null));
+
+    const archive = await buildExportArchive(user._id);
+
+    assert.deepEqual(archive.files, [{ source: 'post', fileName: 'post-1.png', url: 'https://oss.example/bucket/post-1.png' }]);
+    assert.match(archive.filesNote, /not included in this archive/);
+    assert.match(archive.filesNote, /stop working once the account is permanently deleted/);
+    assert.equal(archive.filesAvailableUntil, deletionScheduledFor);
+});
+
+test('the archive has no expiry date for files while the account is not scheduled for deletion', async () => {
+    const user = { _id: id(), username: 'alice', deletionScheduledFor: null };
+
+    mock.method(User, 'findById', () => fakeQuery(user));
+    for (const Model of [Post, Follow, FollowRequest, Notification, Message, Group, Bookmark, BookmarkCollection, Draft, PollVote, Passkey, UsernameHistory]) {
+        mock.method(Model, 'find', () => fakeQuery([]));
+    }
+    mock.method(NotificationPreference, 'findOne', () => fakeQuery(null));
+
+    const archive = await buildExportArchive(user._id);
+
+    assert.deepEqual(archive.files, []);
+    assert.equal(archive.filesAvailableUntil, null);
+});
@@ -0,0 +1,93 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import EmailToken from '../models/EmailToken.js';
+import { registerMailTransport, sendMail } from '../utils/mailer.js';
+import { sendVerificationEmail, sendPasswordResetEmail, consumeEmailToken } from '../utils/emailService.js';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const user = { _id: 'user-1', username: 'alice', email: 'alice@example.com' };
+
+let sent;
+let created;
+const originalEnv = { MAIL_TRANSPORT: process.env.MAIL_TRANSPORT, NODE_ENV: process.env.NODE_ENV };
+
+registerMailTransport('test', async (message) => { sent.push(message); });
+
+beforeEach(() => {
+    sent = [];
+    created = [];
+    process.env.MAIL_TRANSPORT = 'test';
+    mock.method(EmailToken, 'deleteMany', async () => ({ deletedCount: 0 }));
+    mock.method(EmailToken, 'create', async (doc) => { created.push(doc); return doc; });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    for (const [key, value] of Object.entries(originalEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+});
+
+const tokenFromLink = (text, path) => {
+    const match = text.match(new RegExp(`${path}\\?token=([\\w-]+)`));
+    assert.ok(match, `no ${path} link in: ${text}`);
+    return match[1];
+};
+
+test('sendVerificationEmail mails a link whose token is stored only as a hash', async () => {
+    await sendVerificationEmail(user);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'alice@example.com');
+    assert.equal(sent[0].subject, 'Verify your email address');
+
+    const token = tokenFromLink(sent[0].text, '/verify-email');
+    assert.equal(created.length, 1);
+    assert.equal(created[0].purpose, 'verify_email');
+    assert.equal(created[0].email, 'alice@example.com');
+    assert.equal(created[0].tokenHash, sha256(token));
+    assert.ok(!JSON.stringify(created[0]).includes(token));
+    assert.ok(created[0].expiresAt > new Date());
+});
+
+test('sendPasswordResetEmail revokes earlier unused tokens before issuing a new one', async () => {
+    await sendPasswordResetEmail(user);
+
+    const [filter] = EmailToken.deleteMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { user: 'user-1', purpose: 'reset_password', usedAt: null });
+    assert.equal(created[0].purpose, 'reset_password');
+    assert.equal(created[0].tokenHash, sha256(tokenFromLink(sent[0].text, '/reset-password')));
+});
+
+test('consumeEmailToken looks up the hash and marks the token used', async () => {
+    mock.method(EmailToken, 'findOneAndUpdate', async (filter, update) => ({ filter, update }));
+
+    const { filter, update } = await consumeEmailToken('secret-token', 'verify_email');
+    assert.equal(filter.tokenHash, sha256('secret-token'));
+    assert.equal(filter.purpose, 'verify_email');
+    assert.equal(filter.usedAt, null);
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+    assert.ok(update.$set.usedAt instanceof Date);
+});
+
+test('consumeEmailToken rejects a missing token without querying', async () => {
+    mock.method(EmailToken, 'findOneAndUpdate', async () => assert.fail('should not query'));
+
+    assert.equal(await consumeEmailToken('', 'verify_email'), null);
+    assert.equal(await consumeEmailToken(undefined, 'reset_password'), null);
+});
+
+test('sendMail refuses to run without a transport outside development', async () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+
+    await assert.rejects(sendMail({ to: 'a@example.com', subject: 'x', text: 'y' }), /MAIL_TRANSPORT is not configured/);
+});
+
+test('sendMail rejects an unknown transport', async () => {
+    process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+
+    await assert.rejects(sendMail({ to: 'a@example.com', subject: 'x', text: 'y' }), /Unknown mail transport: carrier-pigeon/);
+});
@@ -0,0 +1,118 @@
+import { test, mock, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import webpush from 'web-push';
+
+// 推送只在配置了 VAPID 密钥时启用，需在加载模块前设置
+const vapidKeys = webpush.generateVAPIDKeys();
+process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+
+let Group, ChatSession, Message, NotificationPreference, PushSubscription, messageController;
+
+before(async () => {
+    ({ default: Group } = await import('../models/Group.js'));
+    ({ default: ChatSession } = await import('../models/ChatSession.js'));
+    ({ default: Message } = await import('../models/Message.js'));
+    ({ default: NotificationPreference } = await import('../models/NotificationPreference.js'));
+    ({ default: PushSubscription } = await import('../models/PushSubscription.js'));
+    ({ default: messageController } = await import('../controllers/messageController.js'));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    delete global.socketServer;
+});
+
+const id = () => new mongoose.Types.ObjectId();
+
+const fakeResponse = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+
+// 推送是发出响应后异步进行的，等到预期的推送数量或超时
+const waitFor = async (condition) => {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+test('sendGroupMessage pushes to offline members only', async () => {
+    const [sender, online, offline] = [id(), id(), id()];
+    const groupId = id();
+    const group = {
+        _id: groupId,
+        name: 'Cats',
+        creator: sender,
+        members: [sender, online, offline].map(user => ({ user, role: 'member' })),
+        isMember: (userId) => [sender, online, offline].some(user => user.toString() === userId.toString()),
+        incrementMessageCount: async () => group
+    };
+    const unread = [];
+    const session = {
+        chatId: `group_${groupId}`,
+        updateLastMessage: async () => session,
+        incrementUnreadCount: async (userId) => { unread.push(userId.toString()); return session; }
+    };
+    const messageId = id();
+
+    mock.method(Group, 'findById', async () => group);
+    mock.method(ChatSession, 'findOne', async () => session);
+    mock.method(Message, 'createGroupMessage', async (data) => ({ _id: messageId, ...data }));
+    mock.method(Message, 'findById', () => ({ populate() { return this; }, then: (resolve) => resolve({ _id: messageId }) }));
+    mock.method(NotificationPreference, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    mock.method(PushSubscription, 'find', (filter) => ({
+        select: () => ({ lean: async () => [{ _id: id(), endpoint: `https://push.example/${filter.user}`, keys: {} }] })
+    }));
+    mock.method(PushSubscription, 'updateOne', async () => ({}));
+    const pushes = [];
+    mock.method(webpush, 'sendNotification', async (subscription, body) => { pushes.push({ subscription, body: JSON.parse(body) }); });
+
+    const broadcasts = [];
+    global.socketServer = {
+        isUserOnline: (userId) => userId.toString() === online.toString(),
+        sendNewMessage: (...args) => broadcasts.push(args)
+    };
+
+    const res = fakeResponse();
+    await messageController.sendGroupMessage({
+        user: { userId: sender.toString(), username: 'alice' },
+        body: { groupId: groupId.toString(), content: 'hello' }
+    }, res);
+    await waitFor(() => pushes.length > 0);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.success, true);
+
+    const [created] = Message.createGroupMessage.mock.calls[0].arguments;
+    assert.equal(created.sender, sender.toString());
+    assert.equal(created.group, groupId.toString());
+    assert.deepEqual(unread.sort(), [online.toString(), offline.toString()].sort());
+    assert.deepEqual(broadcasts[0].slice(0, 2), [groupId.toString(), 'group']);
+
+    assert.equal(pushes.length, 1);
+    assert.equal(pushes[0].subscription.endpoint, `https://push.example/${offline}`);
+    assert.equal(pushes[0].body.title, 'Cats');
+    assert.equal(pushes[0].body.body, 'alice: hello');
+    assert.equal(pushes[0].body.data.type, 'group_message');
+});
+
+test('sendGroupMessage rejects a sender who is not a member', async () => {
+    const member = id();
+    mock.method(Group, 'findById', async () => ({
+        members: [{ user: member, role: 'member' }],
+        isMember: (userId) => userId.toString() === member.toString()
+    }));
+    mock.method(Message, 'createGroupMessage', async () => assert.fail('should not create a message'));
+
+    const res = fakeResponse();
+    await messageController.sendGroupMessage({
+        user: { userId: id().toString(), username: 'mallory' },
+        body: { groupId: id().toString(), content: 'hello' }
+    }, res);
+
+    assert.equal(res.statusCode, 403);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIRECTORIES = ['models', 'utils', 'middleware', 'controllers', 'routes'];
+// 早期的 CommonJS 控制器，未被任何路由引用
+const SKIPPED = new Set(['controllers/authController.js']);
+
+for (const directory of DIRECTORIES) {
+    const files = fs.readdirSync(path.join(ROOT, directory)).filter(file => file.endsWith('.js')).sort();
+
+    for (const file of files) {
+        const relative = `${directory}/${file}`;
+        if (SKIPPED.has(relative)) continue;
+
+        test(`${relative} loads`, async () => {
+            const module = await import(pathToFileURL(path.join(ROOT, relative)).href);
+            assert.ok(Object.keys(module).length > 0, `${relative} has no exports`);
+        });
+    }
+}
@@ -0,0 +1,109 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import NotificationPreference from '../models/NotificationPreference.js';
+import {
+    isQuietHours,
+    isValidTimeZone,
+    getPreferences,
+    mergePreferenceUpdate,
+    getTypeChannels
+} from '../utils/notificationPreferences.js';
+
+const overnight = { enabled: true, start: '22:00', end: '08:00', timeZone: 'UTC' };
+
+// 模拟数据库中保存的偏好文档（null 表示从未设置）
+const loadPreferences = (doc) => {
+    mock.method(NotificationPreference, 'findOne', () => ({ select: () => ({ lean: async () => doc }) }));
+    return getPreferences('user-1');
+};
+
+afterEach(() => mock.restoreAll());
+
+test('isQuietHours spans midnight', () => {
+    assert.equal(isQuietHours(overnight, new Date('2026-01-01T21:59:00Z')), false);
+    assert.equal(isQuietHours(overnight, new Date('2026-01-01T22:00:00Z')), true);
+    assert.equal(isQuietHours(overnight, new Date('2026-01-01T23:59:00Z')), true);
+    assert.equal(isQuietHours(overnight, new Date('2026-01-02T00:00:00Z')), true);
+    assert.equal(isQuietHours(overnight, new Date('2026-01-02T07:59:00Z')), true);
+    assert.equal(isQuietHours(overnight, new Date('2026-01-02T08:00:00Z')), false);
+});
+
+test('isQuietHours handles a same-day window', () => {
+    const afternoon = { enabled: true, start: '13:00', end: '15:30', timeZone: 'UTC' };
+
+    assert.equal(isQuietHours(afternoon, new Date('2026-01-01T12:59:00Z')), false);
+    assert.equal(isQuietHours(afternoon, new Date('2026-01-01T13:00:00Z')), true);
+    assert.equal(isQuietHours(afternoon, new Date('2026-01-01T15:30:00Z')), false);
+});
+
+test('isQuietHours uses the user time zone', () => {
+    const tokyo = { ...overnight, timeZone: 'Asia/Tokyo' };
+
+    // 13:30 UTC = 22:30 in Tokyo
+    assert.equal(isQuietHours(tokyo, new Date('2026-01-01T13:30:00Z')), true);
+    // 23:30 UTC = 08:30 in Tokyo
+    assert.equal(isQuietHours(tokyo, new Date('2026-01-01T23:30:00Z')), false);
+});
+
+test('isQuietHours is off when disabled or when start equals end', () => {
+    const now = new Date('2026-01-01T23:00:00Z');
+
+    assert.equal(isQuietHours({ ...overnight, enabled: false }, now), false);
+    assert.equal(isQuietHours({ ...overnight, start: '22:00', end: '22:00' }, now), false);
+    assert.equal(isQuietHours(undefined, now), false);
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(42), false);
+});
+
+test('getPreferences fills in defaults and only exposes push settings for messages', async () => {
+    const preferences = await loadPreferences(null);
+
+    assert.deepEqual(preferences.types.like, { store: true, socket: true, push: true, onlyFollowing: false });
+    assert.deepEqual(preferences.types.message, { push: true, onlyFollowing: false });
+    assert.deepEqual(preferences.types.group_message, { push: true, onlyFollowing: false });
+    assert.deepEqual(preferences.quietHours, { enabled: false, start: '22:00', end: '08:00', timeZone: 'UTC' });
+});
+
+test('mergePreferenceUpdate applies a partial update', async () => {
+    const current = await loadPreferences({ types: { like: { push: false } } });
+    const { value, error } = mergePreferenceUpdate(current, {
+        types: { reply: { onlyFollowing: true }, message: { push: false } },
+        quietHours: { enabled: true, timeZone: 'Asia/Tokyo' }
+    });
+
+    assert.equal(error, undefined);
+    assert.equal(value.types.like.push, false);
+    assert.deepEqual(value.types.reply, { store: true, socket: true, push: true, onlyFollowing: true });
+    assert.deepEqual(value.types.message, { push: false, onlyFollowing: false });
+    assert.deepEqual(value.quietHours, { enabled: true, start: '22:00', end: '08:00', timeZone: 'Asia/Tokyo' });
+    // 不修改传入的当前偏好
+    assert.equal(current.types.reply.onlyFollowing, false);
+});
+
+test('mergePreferenceUpdate rejects invalid input', async () => {
+    const current = await loadPreferences(null);
+    const errorOf = (input) => mergePreferenceUpdate(current, input).error;
+
+    assert.equal(errorOf(null), 'Invalid preferences');
+    assert.equal(errorOf({ types: [] }), 'types must be an object');
+    assert.equal(errorOf({ types: { poke: { push: false } } }), 'Unknown notification type: poke');
+    assert.equal(errorOf({ types: { like: { email: true } } }), 'Invalid setting like.email');
+    assert.equal(errorOf({ types: { like: { push: 'no' } } }), 'Invalid setting like.push');
+    assert.equal(errorOf({ quietHours: { start: '24:00' } }), 'quietHours.start must be HH:MM');
+    assert.equal(errorOf({ quietHours: { enabled: 'yes' } }), 'quietHours.enabled must be a boolean');
+    assert.equal(errorOf({ quietHours: { timeZone: 'Nowhere/City' } }), 'Invalid time zone');
+});
+
+test('mergePreferenceUpdate rejects channels that do not apply to messages', async () => {
+    const current = await loadPreferences(null);
+
+    assert.deepEqual(getTypeChannels('message'), ['push', 'onlyFollowing']);
+    assert.equal(mergePreferenceUpdate(current, { types: { message: { store: false } } }).error, 'Invalid setting message.store');
+    assert.equal(mergePreferenceUpdate(current, { types: { group_message: { socket: false } } }).error, 'Invalid setting group_message.socket');
+    assert.equal(mergePreferenceUpdate(current, { types: { group_event: { store: false } } }).error, undefined);
+});
@@ -0,0 +1,111 @@
+import { test, describe, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { encodeCursor } from '../utils/pagination.js';
+import { summarizeGroup, parseGroupKey, getNotificationGroups } from '../utils/notificationService.js';
+
+test('summarizeGroup names a single actor', () => {
+    assert.equal(summarizeGroup('like', ['alice'], 1), 'alice liked your post');
+    assert.equal(summarizeGroup('follow', ['alice'], 1), 'alice followed you');
+});
+
+test('summarizeGroup joins two actors with "and"', () => {
+    assert.equal(summarizeGroup('repost', ['alice', 'bob'], 2), 'alice and bob reposted your post');
+});
+
+test('summarizeGroup counts the remaining actors with the right plural', () => {
+    assert.equal(summarizeGroup('like', ['alice', 'bob', 'carol'], 3), 'alice, bob and 1 other liked your post');
+    assert.equal(summarizeGroup('like', ['alice', 'bob', 'carol'], 50), 'alice, bob and 48 others liked your post');
+});
+
+test('summarizeGroup handles a group where only one actor name is known', () => {
+    assert.equal(summarizeGroup('reply', ['alice'], 2), 'alice and 1 other replied to your post');
+    assert.equal(summarizeGroup('reply', ['alice'], 5), 'alice and 4 others replied to your post');
+});
+
+test('summarizeGroup falls back to the original message', () => {
+    assert.equal(summarizeGroup('group_event', ['alice'], 1, 'added you to Cats'), 'added you to Cats');
+    assert.equal(summarizeGroup('like', [], 0, 'someone liked your post'), 'someone liked your post');
+    assert.equal(summarizeGroup('security_alert', ['alice'], 1), '');
+});
+
+test('parseGroupKey accepts type:postId and bare types', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    const parsed = parseGroupKey(`like:${id}`);
+    assert.equal(parsed.type, 'like');
+    assert.ok(parsed.post.equals(id));
+    assert.deepEqual(parseGroupKey('follow:'), { type: 'follow', post: null });
+});
+
+test('parseGroupKey rejects malformed keys', () => {
+    assert.equal(parseGroupKey(undefined), null);
+    assert.equal(parseGroupKey(':'), null);
+    assert.equal(parseGroupKey('like:not-an-id'), null);
+    assert.equal(parseGroupKey(`like:${new mongoose.Types.ObjectId()}:extra`), null);
+});
+
+describe('getNotificationGroups', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const actor = { _id: new mongoose.Types.ObjectId(), username: 'alice' };
+    let pipelines;
+
+    beforeEach(() => {
+        pipelines = [];
+        mock.method(User, 'findById', () => ({ select: async () => null }));
+        mock.method(User, 'find', () => ({ distinct: async () => [], select: () => ({ lean: async () => [actor] }) }));
+        mock.method(Post, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const returnGroups = (...results) => {
+        mock.method(Notification, 'aggregate', async (pipeline) => {
+            pipelines.push(pipeline);
+            return results.shift() || [];
+        });
+    };
+
+    test('only aggregates post activity and follows; other types stay separate entries', async () => {
+        const latestId = new mongoose.Types.ObjectId();
+        returnGroups([{
+            type: 'group_event', single: latestId, latestAt: new Date(), latestId,
+            latestMessage: 'added you to Cats', count: 1, unreadCount: 1, recentActors: [actor._id], actorCount: 1
+        }]);
+
+        const { groups } = await getNotificationGroups(userId);
+        const groupStage = pipelines[0].find(stage => stage.$group).$group;
+        const [aggregated, byType, single] = groupStage._id.$cond;
+
+        assert.deepEqual(aggregated.$in[1].sort(), ['follow', 'like', 'mention', 'quote', 'reply', 'repost']);
+        assert.deepEqual(byType, { type: '$type', post: '$post' });
+        assert.equal(single.id, '$_id');
+        assert.equal(groups[0].groupKey, null);
+        assert.equal(groups[0].id, latestId);
+        assert.equal(groups[0].summary, 'added you to Cats');
+    });
+
+    test('bounds later pages by the cursor before grouping and skips groups already shown', async () => {
+        const latestAt = new Date('2026-01-01T00:00:00Z');
+        const latestId = new mongoose.Types.ObjectId();
+        const shownKey = { type: 'like', post: new mongoose.Types.ObjectId() };
+        returnGroups([{ _id: shownKey }], []);
+
+        await getNotificationGroups(userId, { cursor: encodeCursor({ t: latestAt.getTime(), id: latestId.toString() }) });
+
+        assert.equal(pipelines.length, 2);
+        const [shownMatch] = pipelines[0];
+        assert.deepEqual(shownMatch.$match.$or[0], { createdAt: { $gt: latestAt } });
+
+        const pageStages = pipelines[1];
+        const groupIndex = pageStages.findIndex(stage => stage.$group);
+        assert.deepEqual(pageStages[0].$match.$and, [
+            { $or: [{ createdAt: { $lt: latestAt } }, { createdAt: latestAt, _id: { $lt: latestId } }] }
+        ]);
+        assert.ok(groupIndex > 0);
+        assert.deepEqual(pageStages[groupIndex + 1], { $match: { _id: { $nin: [shownKey] } } });
+    });
+});
@@ -0,0 +1,19 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import { publishPost } from '../utils/postPublisher.js';
+
+afterEach(() => mock.restoreAll());
+
+test('publishPost rejects empty content before saving anything', async () => {
+    mock.method(Post.prototype, 'save', async () => assert.fail('should not save'));
+    const authorId = new mongoose.Types.ObjectId();
+
+    for (const content of ['', '   \n', undefined, null]) {
+        await assert.rejects(
+            publishPost({ authorId, authorUsername: 'alice', content }),
+            /Post content is required/
+        );
+    }
+});
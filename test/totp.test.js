@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    base32Encode,
+    base32Decode,
+    generateTotp,
+    verifyTotp,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} from '../utils/totp.js';
+
+// RFC 6238 附录 B 的 SHA-1 密钥 "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 matches the RFC 4648 vectors (unpadded)', () => {
+    const vectors = [
+        ['', ''],
+        ['f', 'MY'],
+        ['fo', 'MZXQ'],
+        ['foo', 'MZXW6'],
+        ['foob', 'MZXW6YQ'],
+        ['fooba', 'MZXW6YTB'],
+        ['foobar', 'MZXW6YTBOI']
+    ];
+    for (const [plain, encoded] of vectors) {
+        assert.equal(base32Encode(Buffer.from(plain)), encoded);
+        assert.equal(base32Decode(encoded).toString(), plain);
+    }
+});
+
+test('base32Decode ignores case, spaces and padding and rejects other characters', () => {
+    assert.equal(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+    assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character/);
+});
+
+test('generateTotp matches the RFC 6238 SHA-1 vectors (last 6 digits)', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130']
+    ];
+    for (const [seconds, code] of vectors) {
+        assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code);
+    }
+});
+
+test('verifyTotp accepts one step of drift and rejects older codes', () => {
+    const now = Date.now();
+    const currentStep = Math.floor(now / 30000);
+
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now)), currentStep);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000)), currentStep - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 90000)), null);
+});
+
+test('verifyTotp rejects a code from an already used step and malformed input', () => {
+    const now = Date.now();
+    const code = generateTotp(RFC_SECRET, now);
+    const step = verifyTotp(RFC_SECRET, code);
+
+    assert.equal(verifyTotp(RFC_SECRET, code, step), null);
+    assert.equal(verifyTotp(RFC_SECRET, '12345'), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef'), null);
+    assert.equal(verifyTotp(RFC_SECRET, undefined), null);
+});
+
+test('generateRecoveryCodes returns distinct codes with matching hashes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, codes.length);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    assert.deepEqual(hashes, codes.map(hashRecoveryCode));
+});
+
+test('hashRecoveryCode ignores case, spaces and dashes', () => {
+    assert.equal(hashRecoveryCode('ABCDE-12345'), hashRecoveryCode('abcde12345'));
+    assert.equal(hashRecoveryCode(' abcde 12345 '), hashRecoveryCode('abcde-12345'));
+    assert.notEqual(hashRecoveryCode('abcde-12345'), hashRecoveryCode('abcde-12346'));
+});
@@ -0,0 +1,116 @@
+import { test, mock, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import twoFactorRoutes from '../routes/twoFactor.js';
+import { signAccessToken } from '../utils/tokenService.js';
+import { base32Encode, generateTotp } from '../utils/totp.js';
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// 可链式调用的查询替身，await 时返回给定结果
+const fakeQuery = (result) => {
+    const query = {
+        select: () => query,
+        sort: () => query,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return query;
+};
+
+let server;
+let baseUrl;
+let account;
+let reasons;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/2fa', twoFactorRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/2fa`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    account = {
+        _id: new mongoose.Types.ObjectId(),
+        username: 'alice',
+        loginLockedUntil: null,
+        loginRetryAt: null,
+        twoFactor: { enabled: true, secret: SECRET, lastUsedStep: 0, recoveryCodes: [] }
+    };
+    reasons = [];
+
+    mock.method(Session, 'exists', async () => ({ _id: 'session' }));
+    mock.method(User, 'findById', () => fakeQuery(account));
+    mock.method(User, 'findOneAndUpdate', () => fakeQuery(
+        account.loginRetryAt > new Date() ? null : { ...account, failedLoginCount: 1 }
+    ));
+    mock.method(User, 'updateOne', async (filter, update) => {
+        if (update.$set?.['twoFactor.enabled'] === false) account.twoFactor.enabled = false;
+        return { modifiedCount: 1 };
+    });
+    mock.method(LoginAttempt, 'create', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(LoginAttempt, 'countDocuments', async () => 0);
+    mock.method(LoginAttempt, 'findOne', () => fakeQuery(null));
+    mock.method(LoginAttempt, 'updateOne', async (filter, update) => { reasons.push(update.$set.reason); });
+    mock.method(LoginAttempt, 'deleteOne', async () => ({ deletedCount: 1 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${signAccessToken(account, new mongoose.Types.ObjectId())}`
+    },
+    body: JSON.stringify(body)
+});
+
+test('a wrong code on /disable counts as a failed attempt', async () => {
+    const res = await post('/disable', { code: '000000' });
+
+    assert.equal(res.status, 401);
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 1);
+    assert.deepEqual(reasons, ['invalid_code']);
+    assert.equal(account.twoFactor.enabled, true);
+});
+
+test('/disable is refused without checking the code while the account is throttled', async () => {
+    account.loginRetryAt = new Date(Date.now() + 60 * 1000);
+
+    const res = await post('/disable', { code: generateTotp(SECRET) });
+
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+    assert.deepEqual(reasons, ['throttled']);
+    assert.equal(account.twoFactor.enabled, true);
+});
+
+test('a wrong recovery code on /recovery-codes counts as a failed attempt', async () => {
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    const res = await post('/recovery-codes', { recoveryCode: 'abcde-12345' });
+
+    assert.equal(res.status, 401);
+    assert.deepEqual(reasons, ['invalid_code']);
+});
+
+test('a valid code on /recovery-codes releases the attempt', async () => {
+    const res = await post('/recovery-codes', { code: generateTotp(SECRET) });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.recoveryCodes.length, 10);
+    assert.equal(LoginAttempt.deleteOne.mock.callCount(), 1);
+    assert.deepEqual(reasons, []);
+});
@@ -0,0 +1,64 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { base32Encode, generateTotp, generateRecoveryCodes } from '../utils/totp.js';
+import { verifySecondFactor } from '../utils/twoFactorService.js';
+
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// 内存中的账号，按 verifySecondFactor 使用的条件更新语义模拟 User.updateOne
+const fakeAccount = (recoveryCodes) => {
+    const stored = { lastUsedStep: 0, recoveryCodes: [...recoveryCodes] };
+    mock.method(User, 'updateOne', async (filter, update) => {
+        if (filter['twoFactor.recoveryCodes']) {
+            const index = stored.recoveryCodes.indexOf(filter['twoFactor.recoveryCodes']);
+            if (index === -1) return { modifiedCount: 0 };
+            assert.equal(update.$pull['twoFactor.recoveryCodes'], filter['twoFactor.recoveryCodes']);
+            stored.recoveryCodes.splice(index, 1);
+            return { modifiedCount: 1 };
+        }
+        if (stored.lastUsedStep >= filter['twoFactor.lastUsedStep'].$lt) return { modifiedCount: 0 };
+        stored.lastUsedStep = update.$set['twoFactor.lastUsedStep'];
+        return { modifiedCount: 1 };
+    });
+    return stored;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a recovery code can only be used once', async () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const stored = fakeAccount(hashes);
+    const user = { _id: 'user-1', twoFactor: { secret: SECRET, lastUsedStep: 0 } };
+
+    assert.equal(await verifySecondFactor(user, { recoveryCode: codes[0].toUpperCase() }), 'recovery_code');
+    assert.equal(stored.recoveryCodes.length, hashes.length - 1);
+    assert.equal(await verifySecondFactor(user, { recoveryCode: codes[0] }), null);
+    assert.equal(await verifySecondFactor(user, { recoveryCode: codes[1] }), 'recovery_code');
+});
+
+test('an unknown recovery code is rejected', async () => {
+    const { hashes } = generateRecoveryCodes();
+    const stored = fakeAccount(hashes);
+    const user = { _id: 'user-1', twoFactor: { secret: SECRET, lastUsedStep: 0 } };
+
+    assert.equal(await verifySecondFactor(user, { recoveryCode: '00000-00000' }), null);
+    assert.equal(stored.recoveryCodes.length, hashes.length);
+});
+
+test('a TOTP code cannot be replayed', async () => {
+    fakeAccount([]);
+    const code = generateTotp(SECRET);
+
+    assert.equal(await verifySecondFactor({ _id: 'user-1', twoFactor: { secret: SECRET, lastUsedStep: 0 } }, { code }), 'totp');
+    // 并发请求读到的是旧的 lastUsedStep，由条件更新拦下
+    assert.equal(await verifySecondFactor({ _id: 'user-1', twoFactor: { secret: SECRET, lastUsedStep: 0 } }, { code }), null);
+});
+
+test('an empty submission is rejected', async () => {
+    fakeAccount([]);
+    const user = { _id: 'user-1', twoFactor: { secret: SECRET, lastUsedStep: 0 } };
+
+    assert.equal(await verifySecondFactor(user, {}), null);
+    assert.equal(await verifySecondFactor(user, { code: '', recoveryCode: '' }), null);
+});
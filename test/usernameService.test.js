@@ -0,0 +1,48 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import { findUserByHandle, resolveHandles } from '../utils/usernameService.js';
+
+const fakeQuery = (result) => {
+    const query = {
+        select: () => query,
+        sort: () => query,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return query;
+};
+
+// 模拟历史记录集合，按查询中的 reservedUntil 条件过滤
+const history = (entries) => (filter) => entries.filter(entry => {
+    const names = filter.username.$in || [filter.username];
+    return names.includes(entry.username) && (!filter.reservedUntil || entry.reservedUntil > filter.reservedUntil.$gt);
+});
+
+afterEach(() => mock.restoreAll());
+
+const renamed = { _id: new mongoose.Types.ObjectId(), username: 'alice_new' };
+const entries = [
+    { username: 'alice', user: renamed._id, reservedUntil: new Date(Date.now() + 60 * 1000) },
+    { username: 'old_alice', user: renamed._id, reservedUntil: new Date(Date.now() - 60 * 1000) }
+];
+
+test('findUserByHandle redirects an old handle only while it is reserved', async () => {
+    mock.method(User, 'findOne', () => fakeQuery(null));
+    mock.method(User, 'findById', () => fakeQuery(renamed));
+    mock.method(UsernameHistory, 'findOne', (filter) => fakeQuery(history(entries)(filter)[0] || null));
+
+    assert.deepEqual(await findUserByHandle('alice'), { user: renamed, redirectedFrom: 'alice' });
+    assert.deepEqual(await findUserByHandle('old_alice'), { user: null, redirectedFrom: null });
+});
+
+test('resolveHandles ignores old handles whose reservation expired', async () => {
+    mock.method(User, 'find', () => fakeQuery([]));
+    mock.method(UsernameHistory, 'find', (filter) => fakeQuery(history(entries)(filter)));
+
+    const ids = await resolveHandles(['alice', 'old_alice']);
+
+    assert.deepEqual([...ids.keys()], ['alice']);
+    assert.equal(ids.get('alice'), renamed._id);
+});
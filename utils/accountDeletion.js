@@ -0,0 +1,297 @@
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import PostRevision from '../models/PostRevision.js';
+import Poll from '../models/Poll.js';
+import PollVote from '../models/PollVote.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Notification from '../models/Notification.js';
+import Message from '../models/Message.js';
+import ChatSession from '../models/ChatSession.js';
+import Group from '../models/Group.js';
+import Bookmark from '../models/Bookmark.js';
+import BookmarkCollection from '../models/BookmarkCollection.js';
+import Draft from '../models/Draft.js';
+import Passkey from '../models/Passkey.js';
+import DataExport from '../models/DataExport.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import Session from '../models/Session.js';
+import EmailToken from '../models/EmailToken.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import PushSubscription from '../models/PushSubscription.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import NotificationMarker from '../models/NotificationMarker.js';
+import logger from './logger.js';
+import { deleteFromOSS } from './ossClient.js';
+import { collectUserFiles } from './dataExport.js';
+import { removePostsFromTrending } from './trendingService.js';
+
+export const DELETION_GRACE_MS = (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+// 清理中的账号超过该时间未完成，视为进程崩溃，允许重新认领（清理步骤可重复执行）
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+let purgeTimer = null;
+let purging = false;
+
+// 逐个删除 OSS 文件，单个失败不影响整体清理
+const deleteFiles = async (fileNames) => {
+    for (const fileName of fileNames) {
+        try {
+            await deleteFromOSS(fileName);
+        } catch (error) {
+            logger.warn(`Failed to delete OSS object ${fileName}: ${error.message}`);
+        }
+    }
+};
+
+// 他人挂在被删帖子下的回复：从路径中去掉被删帖子，父帖改为最近的保留祖先（没有则成为顶层帖子）
+const reparentOrphanReplies = async (userId, postIds, ownIds) => {
+    const replies = await Post.find({ ancestors: { $in: postIds }, author: { $ne: userId } })
+        .select('_id parent ancestors')
+        .lean();
+    if (replies.length === 0) return;
+
+    const replyCounts = new Map();
+    const operations = replies.map(reply => {
+        const ancestors = reply.ancestors.filter(id => !ownIds.has(id.toString()));
+        const set = {
+            ancestors,
+            root: ancestors[0] || null,
+            depth: ancestors.length
+        };
+        if (reply.parent && ownIds.has(reply.parent.toString())) {
+            set.parent = ancestors[ancestors.length - 1] || null;
+            if (set.parent) {
+                const key = set.parent.toString();
+                if (!replyCounts.has(key)) replyCounts.set(key, { _id: set.parent, count: 0 });
+                replyCounts.get(key).count += 1;
+            }
+        }
+        return { updateOne: { filter: { _id: reply._id }, update: { $set: set } } };
+    });
+
+    await Post.bulkWrite(operations, { ordered: false });
+
+    if (replyCounts.size > 0) {
+        await Post.bulkWrite([...replyCounts.values()].map(({ _id, count }) => ({
+            updateOne: { filter: { _id }, update: { $inc: { replyCount: count } } }
+        })), { ordered: false });
+    }
+};
+
+/**
+ * 删除用户的帖子，并修正他人帖子上的计数
+ * 逐条删除，只为实际删除的帖子扣减计数，清理中断后重试不会重复扣减
+ * @param {string|ObjectId} userId - 用户ID
+ * @param {object[]} posts - 用户剩余的帖子（需要 _id parent repost quote）
+ */
+export const purgePosts = async (userId, posts) => {
+    const postIds = posts.map(post => post._id);
+    const ownIds = new Set(postIds.map(id => id.toString()));
+
+    await reparentOrphanReplies(userId, postIds, ownIds);
+
+    const pollIds = await Poll.find({ post: { $in: postIds } }).distinct('_id');
+
+    await Promise.all([
+        PollVote.deleteMany({ poll: { $in: pollIds } }),
+        Poll.deleteMany({ _id: { $in: pollIds } }),
+        PostRevision.deleteMany({ post: { $in: postIds } }),
+        // 他人收藏的帖子保留为墓碑
+        Bookmark.updateMany(
+            { post: { $in: postIds }, deleted: false },
+            { $set: { deleted: true, deletedAt: new Date() } }
+        )
+    ]);
+
+    for (const post of posts) {
+        const { deletedCount } = await Post.deleteOne({ _id: post._id });
+        if (deletedCount === 0) continue;
+
+        const inc = [['parent', 'replyCount'], ['repost', 'repostCount'], ['quote', 'quoteCount']]
+            .filter(([field]) => post[field] && !ownIds.has(post[field].toString()));
+        for (const [field, counter] of inc) {
+            await Post.updateOne({ _id: post[field] }, { $inc: { [counter]: -1 } });
+        }
+    }
+
+    await removePostsFromTrending(postIds);
+};
+
+// 删除关注关系，并修正对方的计数
+const purgeFollows = async (userId) => {
+    const follows = await Follow.find({ $or: [{ follower: userId }, { following: userId }] })
+        .select('_id follower following')
+        .lean();
+
+    // 逐条删除，只为实际删除的关系修正对方计数，清理中断后重试不会重复扣减
+    for (const follow of follows) {
+        const { deletedCount } = await Follow.deleteOne({ _id: follow._id });
+        if (deletedCount === 0) continue;
+
+        if (follow.follower.toString() === userId.toString()) {
+            await User.updateOne({ _id: follow.following }, { $inc: { followersCount: -1 } });
+        } else {
+            await User.updateOne({ _id: follow.follower }, { $inc: { followingCount: -1 } });
+        }
+    }
+
+    await Promise.all([
+        FollowRequest.deleteMany({ $or: [{ from: userId }, { to: userId }] }),
+        User.updateMany(
+            { $or: [{ blocked: userId }, { muted: userId }] },
+            { $pull: { blocked: userId, muted: userId } }
+        )
+    ]);
+};
+
+// 退出所有群组；创建者离开时转交给管理员或最早的成员，无人可转交则关闭群组
+const purgeGroupMemberships = async (userId) => {
+    const groups = await Group.find({ 'members.user': userId }).select('creator admins members');
+
+    for (const group of groups) {
+        const remaining = group.members.filter(member => member.user.toString() !== userId.toString());
+        const update = {
+            $pull: { members: { user: userId }, admins: userId },
+            $set: { 'stats.memberCount': remaining.length }
+        };
+
+        if (group.creator.toString() === userId.toString()) {
+            const successor = remaining.find(member => member.role === 'admin') || remaining[0];
+            if (successor) {
+                update.$set.creator = successor.user;
+            } else {
+                update.$set.status = 'deleted';
+            }
+        }
+
+        await Group.updateOne({ _id: group._id }, update);
+
+        if (update.$set.creator) {
+            await Group.updateOne(
+                { _id: group._id, 'members.user': update.$set.creator },
+                { $set: { 'members.$.role': 'creator' } }
+            );
+        }
+    }
+
+    await ChatSession.updateMany(
+        { 'participants.user': userId },
+        { $pull: { participants: { user: userId }, unreadCounts: { user: userId } } }
+    );
+};
+
+/**
+ * 彻底清理一个账号：删除个人数据与文件，对他人会话中的消息做匿名化处理
+ * 每一步都可重复执行，中途失败后可再次调用
+ * @param {string|ObjectId} userId - 用户ID
+ */
+export const purgeAccount = async (userId) => {
+    const user = await User.findById(userId).lean();
+    if (!user) return;
+
+    const [drafts, sentFiles, exports] = await Promise.all([
+        Draft.find({ author: userId }).select('images').lean(),
+        Message.find({ sender: userId, 'fileInfo.url': { $exists: true } }).select('sender fileInfo').lean(),
+        DataExport.find({ user: userId }).select('fileName').lean()
+    ]);
+
+    const posts = await Post.find({ author: userId }).select('_id parent repost quote images').lean();
+
+    // 先删文件再删帖子：重试时仍能从剩余的帖子中找到未删除的文件
+    const files = collectUserFiles(user, { posts, drafts, messages: sentFiles });
+    await deleteFiles([
+        ...files.map(file => file.fileName).filter(Boolean),
+        ...exports.map(dataExport => dataExport.fileName).filter(Boolean)
+    ]);
+
+    await purgePosts(userId, posts);
+
+    await purgeFollows(userId);
+    await purgeGroupMemberships(userId);
+
+    await Promise.all([
+        Post.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+        PollVote.deleteMany({ user: userId }),
+        Notification.deleteMany({ $or: [{ from: userId }, { to: userId }] }),
+        NotificationMarker.deleteMany({ $or: [{ from: userId }, { to: userId }] }),
+        Bookmark.deleteMany({ owner: userId }),
+        BookmarkCollection.deleteMany({ owner: userId }),
+        Draft.deleteMany({ author: userId }),
+        Passkey.deleteMany({ userId }),
+        DataExport.deleteMany({ user: userId }),
+        UsernameHistory.deleteMany({ user: userId }),
+        Session.deleteMany({ user: userId }),
+        EmailToken.deleteMany({ user: userId }),
+        LoginAttempt.deleteMany({ user: userId }),
+        PushSubscription.deleteMany({ user: userId }),
+        NotificationPreference.deleteMany({ user: userId }),
+        // 消息属于双方的会话记录，保留占位但清除内容和附件
+        Message.updateMany(
+            { sender: userId },
+            {
+                $set: { content: '[deleted]', 'metadata.deleted': true, 'metadata.deletedAt': new Date() },
+                $unset: { fileInfo: '' }
+            }
+        )
+    ]);
+
+    await User.deleteOne({ _id: userId });
+};
+
+// 原子地认领一个到期的待删除账号
+const claimDueAccount = () => {
+    const now = new Date();
+    return User.findOneAndUpdate(
+        {
+            deletionScheduledFor: { $lte: now },
+            $or: [
+                { deletionLockedAt: null },
+                { deletionLockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { deletionLockedAt: now } },
+        { sort: { deletionScheduledFor: 1 }, new: true }
+    ).select('_id');
+};
+
+/**
+ * 清理所有宽限期已过的账号
+ */
+export const purgeDueAccounts = async () => {
+    if (purging) return;
+    purging = true;
+
+    try {
+        let user;
+        while ((user = await claimDueAccount())) {
+            try {
+                await purgeAccount(user._id);
+                logger.info('Account purged', { userId: user._id.toString() });
+            } catch (error) {
+                // 释放认领，下一轮重试
+                await User.updateOne({ _id: user._id }, { $set: { deletionLockedAt: null } });
+                logger.error(`Failed to purge account ${user._id}`, error);
+                break;
+            }
+        }
+    } catch (error) {
+        logger.error('Account purge job error', error);
+    } finally {
+        purging = false;
+    }
+};
+
+/**
+ * 启动账号清理任务
+ */
+export const startAccountPurgeJob = () => {
+    if (purgeTimer) return;
+
+    purgeDueAccounts();
+    purgeTimer = setInterval(purgeDueAccounts, PURGE_INTERVAL_MS);
+    purgeTimer.unref();
+
+    logger.info('Account purge job started');
+};
@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import os from 'os';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Notification from '../models/Notification.js';
+import Message from '../models/Message.js';
+import Group from '../models/Group.js';
+import Bookmark from '../models/Bookmark.js';
+import BookmarkCollection from '../models/BookmarkCollection.js';
+import Draft from '../models/Draft.js';
+import PollVote from '../models/PollVote.js';
+import Passkey from '../models/Passkey.js';
+import DataExport from '../models/DataExport.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import logger from './logger.js';
+import { uploadToOSS, deleteFromOSS } from './ossClient.js';
+import { getPreferences } from './notificationPreferences.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.DATA_EXPORT_INTERVAL_MS) || 60 * 1000;
+const RETENTION_MS = (parseInt(process.env.DATA_EXPORT_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+// 构建中的导出超过该时间未完成，视为进程崩溃，允许其他进程重新认领
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const EXPORT_FORMAT_VERSION = 1;
+// 归档只列出文件链接，不包含文件内容
+const FILES_NOTE = 'Files are listed as links to the stored copies, not included in this archive. '
+    + 'The links stop working once the account is permanently deleted; download anything you want to keep before then.';
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const USER_FIELDS = 'username avatarname';
+
+let exportTimer = null;
+let processing = false;
+
+/**
+ * 从 OSS 文件 URL 中取出对象名
+ * @param {string} url - 文件 URL
+ * @returns {string|null}
+ */
+export const getObjectNameFromUrl = (url) => {
+    if (!url || typeof url !== 'string') return null;
+    try {
+        const name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+        return name || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * 汇总用户上传过的文件（帖子图片、草稿图片、私信附件、头像）
+ * 只返回对象名和链接；账号清理时会按这份清单删除文件，链接随之失效
+ * @param {object} user - 用户
+ * @param {object} sources - { posts, drafts, messages }
+ * @returns {object[]} - [{ source, fileName, url }]
+ */
+export const collectUserFiles = (user, { posts = [], drafts = [], messages = [] }) => {
+    const files = new Map();
+    const add = (source, fileName, url) => {
+        const key = fileName || url;
+        if (key && !files.has(key)) files.set(key, { source, fileName: fileName || null, url: url || null });
+    };
+
+    posts.forEach(post => (post.images || []).forEach(image => add('post', image.filename, image.url)));
+    drafts.forEach(draft => (draft.images || []).forEach(image => add('draft', image.filename, image.url)));
+    messages
+        .filter(message => message.sender.toString() === user._id.toString() && message.fileInfo?.url)
+        .forEach(message => add('message', message.fileInfo.filename, message.fileInfo.url));
+
+    // 头像上传时以 avatar-<userId>- 命名，只认领自己上传的头像
+    const avatarName = getObjectNameFromUrl(user.avatarimg);
+    if (avatarName && avatarName.includes(`avatar-${user._id}-`)) {
+        add('avatar', avatarName, user.avatarimg);
+    }
+
+    return [...files.values()];
+};
+
+/**
+ * 构建用户数据归档（JSON）
+ * @param {string|ObjectId} userId - 用户ID
+ * @returns {Promise<object>}
+ */
+export const buildExportArchive = async (userId) => {
+    const user = await User.findById(userId)
+        .select('-password')
+        .populate('blocked', USER_FIELDS)
+        .populate('muted', USER_FIELDS)
+        .lean();
+    if (!user) {
+        throw new Error('User no longer exists');
+    }
+
+    const [
+        posts, likedPosts, following, followers, requestsSent, requestsReceived,
+        notifications, messages, groups, collections, bookmarks, drafts, pollVotes, passkeys, usernameHistory,
+        notificationPreferences
+    ] = await Promise.all([
+        Post.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+        Post.find({ likes: userId })
+            .select('author content createdAt')
+            .populate('author', USER_FIELDS)
+            .lean(),
+        Follow.find({ follower: userId }).populate('following', USER_FIELDS).lean(),
+        Follow.find({ following: userId }).populate('follower', USER_FIELDS).lean(),
+        FollowRequest.find({ from: userId }).populate('to', USER_FIELDS).lean(),
+        FollowRequest.find({ to: userId }).populate('from', USER_FIELDS).lean(),
+        Notification.find({ to: userId }).sort({ createdAt: 1 }).lean(),
+        Message.find({ $or: [{ sender: userId }, { receiver: userId }] }).sort({ createdAt: 1 }).lean(),
+        Group.find({ 'members.user': userId }).select('name type members').lean(),
+        BookmarkCollection.find({ owner: userId }).lean(),
+        Bookmark.find({ owner: userId }).lean(),
+        Draft.find({ author: userId }).lean(),
+        PollVote.find({ user: userId }).lean(),
+        Passkey.find({ userId }).select('credentialID transports createdAt lastUsed').lean(),
+        UsernameHistory.find({ user: userId }).select('username changedAt').sort({ changedAt: 1 }).lean(),
+        getPreferences(userId)
+    ]);
+
+    return {
+        format: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date(),
+        profile: user,
+        usernameHistory,
+        notificationPreferences,
+        posts: posts.map(post => ({ ...post, likes: undefined, likeCount: post.likes?.length || 0 })),
+        likes: likedPosts.map(post => ({
+            post: post._id,
+            author: post.author,
+            content: post.content,
+            createdAt: post.createdAt
+        })),
+        following: following.map(follow => ({ user: follow.following, since: follow.createdAt })),
+        followers: followers.map(follow => ({ user: follow.follower, since: follow.createdAt })),
+        followRequests: {
+            sent: requestsSent.map(request => ({ user: request.to, createdAt: request.createdAt })),
+            received: requestsReceived.map(request => ({ user: request.from, createdAt: request.createdAt }))
+        },
+        notifications,
+        messages,
+        groups: groups.map(group => {
+            const membership = group.members.find(member => member.user.toString() === userId.toString());
+            return {
+                group: group._id,
+                name: group.name,
+                type: group.type,
+                role: membership?.role,
+                joinedAt: membership?.joinedAt
+            };
+        }),
+        bookmarks: { collections, items: bookmarks },
+        drafts,
+        pollVotes,
+        passkeys,
+        files: collectUserFiles(user, { posts, drafts, messages }),
+        filesNote: FILES_NOTE,
+        // 已申请删除账号时，链接在计划的清理时间之后失效
+        filesAvailableUntil: user.deletionScheduledFor || null
+    };
+};
+
+// 原子地认领一条待处理的导出（或锁已过期的导出）
+const claimExport = () => {
+    const now = new Date();
+    return DataExport.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending' },
+                { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'processing', lockedAt: now, lockedBy: INSTANCE_ID },
+            $inc: { attempts: 1 }
+        },
+        { sort: { createdAt: 1 }, new: true }
+    );
+};
+
+// 构建并上传一份导出
+const runExport = async (dataExport) => {
+    const archive = await buildExportArchive(dataExport.user);
+    const buffer = Buffer.from(JSON.stringify(archive, null, 2));
+
+    // 对象名不可猜测，即使存储桶开启了公开读取
+    const upload = await uploadToOSS(
+        `export-${dataExport.user}-${crypto.randomUUID()}.json`,
+        buffer,
+        'application/json'
+    );
+
+    const now = new Date();
+    await DataExport.updateOne(
+        { _id: dataExport._id },
+        {
+            $set: {
+                status: 'ready',
+                fileName: upload.fileName,
+                size: upload.size,
+                completedAt: now,
+                expiresAt: new Date(now.getTime() + RETENTION_MS),
+                lockedAt: null,
+                lockedBy: null,
+                lastError: null
+            }
+        }
+    );
+};
+
+// 删除过期的导出文件
+const expireExports = async () => {
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).limit(100);
+
+    for (const dataExport of expired) {
+        try {
+            if (dataExport.fileName) await deleteFromOSS(dataExport.fileName);
+            await DataExport.updateOne({ _id: dataExport._id }, { $set: { status: 'expired', fileName: null } });
+        } catch (error) {
+            logger.error(`Failed to expire data export ${dataExport._id}`, error);
+        }
+    }
+};
+
+/**
+ * 处理所有待生成的导出，并清理过期文件
+ */
+export const processDataExports = async () => {
+    if (processing) return;
+    processing = true;
+
+    try {
+        let dataExport;
+        while ((dataExport = await claimExport())) {
+            try {
+                await runExport(dataExport);
+                logger.info('Data export ready', { exportId: dataExport._id.toString() });
+            } catch (error) {
+                const failed = dataExport.attempts >= MAX_ATTEMPTS;
+                await DataExport.updateOne(
+                    { _id: dataExport._id, lockedBy: INSTANCE_ID },
+                    {
+                        $set: {
+                            status: failed ? 'failed' : 'pending',
+                            lockedAt: null,
+                            lockedBy: null,
+                            lastError: error.message
+                        }
+                    }
+                );
+                logger.error(`Failed to build data export ${dataExport._id}`, error);
+                // 本轮不再重试该导出
+                if (!failed) break;
+            }
+        }
+
+        await expireExports();
+    } catch (error) {
+        logger.error('Data export job error', error);
+    } finally {
+        processing = false;
+    }
+};
+
+/**
+ * 启动数据导出任务
+ */
+export const startDataExportJob = () => {
+    if (exportTimer) return;
+
+    processDataExports();
+    exportTimer = setInterval(processDataExports, POLL_INTERVAL_MS);
+    exportTimer.unref();
+
+    logger.info(`Data export job started (${INSTANCE_ID})`);
+};
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import EmailToken from '../models/EmailToken.js';
+import { sendMail } from './mailer.js';
+
+const APP_URL = (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5174').replace(/\/$/, '');
+const VERIFY_TTL_MS = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+// 同一用途的邮件最短发送间隔
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// 生成新令牌，同一用途之前未使用的令牌随即作废
+const createEmailToken = async (user, purpose, email, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await EmailToken.deleteMany({ user: user._id, purpose, usedAt: null });
+    await EmailToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        email,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+};
+
+/**
+ * 是否仍在重发冷却期内
+ * @param {string|ObjectId} userId - 用户ID
+ * @param {string} purpose - verify_email / reset_password
+ * @returns {Promise<boolean>}
+ */
+export const isEmailOnCooldown = async (userId, purpose) => Boolean(await EmailToken.exists({
+    user: userId,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) }
+}));
+
+/**
+ * 核销令牌（单次有效）
+ * @param {string} token - 邮件中的令牌
+ * @param {string} purpose - verify_email / reset_password
+ * @returns {Promise<object|null>} - 令牌记录，无效或已使用时返回 null
+ */
+export const consumeEmailToken = async (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+
+    const now = new Date();
+    return EmailToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    );
+};
+
+/**
+ * 作废某用户某用途的全部未使用令牌
+ * @param {string|ObjectId} userId - 用户ID
+ * @param {string} purpose - verify_email / reset_password
+ */
+export const revokeEmailTokens = (userId, purpose) =>
+    EmailToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+/**
+ * 发送邮箱验证邮件
+ * @param {object} user - 用户（需要 email 和 username）
+ */
+export const sendVerificationEmail = async (user) => {
+    const token = await createEmailToken(user, 'verify_email', user.email, VERIFY_TTL_MS);
+    const link = `${APP_URL}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\n`
+            + `The link expires in ${Math.round(VERIFY_TTL_MS / 3600000)} hours. If you didn't add this address, ignore this email.`
+    });
+};
+
+/**
+ * 发送重置密码邮件
+ * @param {object} user - 用户（需要 email 和 username）
+ */
+export const sendPasswordResetEmail = async (user) => {
+    const token = await createEmailToken(user, 'reset_password', user.email, RESET_TTL_MS);
+    const link = `${APP_URL}/reset-password?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\n`
+            + `The link expires in ${Math.round(RESET_TTL_MS / 60000)} minutes and can be used once. `
+            + 'Resetting signs you out everywhere. If you didn\'t ask for this, ignore this email.'
+    });
+};
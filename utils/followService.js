@@ -0,0 +1,85 @@
+import Follow from '../models/Follow.js';
+import User from '../models/User.js';
+
+/**
+ * 建立关注关系并更新双方计数，已关注时不做任何修改
+ * @param {string|ObjectId} followerId - 关注者ID
+ * @param {string|ObjectId} followingId - 被关注者ID
+ * @returns {Promise<boolean>} - 是否新建了关注
+ */
+export const createFollow = async (followerId, followingId) => {
+    const result = await Follow.updateOne(
+        { follower: followerId, following: followingId },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+    ).catch(error => {
+        // 并发的重复关注会触发唯一索引冲突，视为已关注
+        if (error.code === 11000) return { upsertedCount: 0 };
+        throw error;
+    });
+
+    if (result.upsertedCount === 0) return false;
+
+    await Promise.all([
+        User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } }),
+        User.updateOne({ _id: followingId }, { $inc: { followersCount: 1 } })
+    ]);
+    return true;
+};
+
+/**
+ * 取消关注并更新双方计数
+ * @param {string|ObjectId} followerId - 关注者ID
+ * @param {string|ObjectId} followingId - 被关注者ID
+ * @returns {Promise<boolean>} - 是否确实删除了关注
+ */
+export const removeFollow = async (followerId, followingId) => {
+    const follow = await Follow.findOneAndDelete({ follower: followerId, following: followingId });
+    if (!follow) return false;
+
+    await Promise.all([
+        User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } }),
+        User.updateOne({ _id: followingId }, { $inc: { followersCount: -1 } })
+    ]);
+    return true;
+};
+
+/**
+ * 是否已关注
+ * @param {string|ObjectId} followerId - 关注者ID
+ * @param {string|ObjectId} followingId - 被关注者ID
+ * @returns {Promise<boolean>}
+ */
+export const isFollowing = async (followerId, followingId) => {
+    if (!followerId || !followingId) return false;
+    return Boolean(await Follow.exists({ follower: followerId, following: followingId }));
+};
+
+/**
+ * 获取用户关注的所有用户ID
+ * @param {string|ObjectId} userId - 用户ID
+ * @returns {Promise<ObjectId[]>}
+ */
+export const getFollowingIds = (userId) => Follow.find({ follower: userId }).distinct('following');
+
+/**
+ * 批量查询当前用户与一组用户之间的关注关系
+ * @param {string|ObjectId} viewerId - 当前用户ID
+ * @param {Array<string|ObjectId>} userIds - 用户ID
+ * @returns {Promise<object>} - { following: Set<string>, followedBy: Set<string> }
+ */
+export const getFollowRelations = async (viewerId, userIds) => {
+    if (!viewerId || userIds.length === 0) {
+        return { following: new Set(), followedBy: new Set() };
+    }
+
+    const [following, followedBy] = await Promise.all([
+        Follow.find({ follower: viewerId, following: { $in: userIds } }).distinct('following'),
+        Follow.find({ follower: { $in: userIds }, following: viewerId }).distinct('follower')
+    ]);
+
+    return {
+        following: new Set(following.map(id => id.toString())),
+        followedBy: new Set(followedBy.map(id => id.toString()))
+    };
+};
@@ -0,0 +1,205 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+import { sendMail } from './mailer.js';
+import { createNotification } from './notificationService.js';
+
+// 单个账号：前几次失败不限制，之后等待时间指数增长，达到阈值后锁定
+const ACCOUNT_FREE_ATTEMPTS = 3;
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const ACCOUNT_LOCK_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+// 超过该时间没有新的失败，计数重新开始
+const ACCOUNT_FAILURE_RESET_MS = 60 * 60 * 1000;
+
+// 单个 IP：统计时间窗口内对所有账号的失败次数
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const IP_FREE_ATTEMPTS = 10;
+
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+// 被拦截的请求只做审计，不参与计数；未完成的尝试按失败计
+const COUNTED_REASONS = ['pending', 'unknown_user', 'invalid_password', 'invalid_passkey', 'invalid_code'];
+
+const getBackoffMs = (failures, freeAttempts) => (
+    failures < freeAttempts ? 0 : Math.min(1000 * 2 ** (failures - freeAttempts), MAX_BACKOFF_MS)
+);
+
+// 与 getBackoffMs 相同，用于聚合管道
+const backoffExpression = (failures, freeAttempts) => ({
+    $cond: [
+        { $lt: [failures, freeAttempts] },
+        0,
+        { $min: [{ $multiply: [1000, { $pow: [2, { $subtract: [failures, freeAttempts] }] }] }, MAX_BACKOFF_MS] }
+    ]
+});
+
+const getClientInfo = (req) => ({
+    ip: req.ip || req.socket?.remoteAddress || '',
+    userAgent: (req.headers['user-agent'] || '').slice(0, 512)
+});
+
+// IP 退避：计数包含本次尝试，等待时间从上一次尝试起算
+const checkIpAllowed = async (ip, attemptId, now) => {
+    if (!ip) return null;
+
+    const filter = { ip, reason: { $in: COUNTED_REASONS }, createdAt: { $gt: new Date(now - IP_WINDOW_MS) } };
+    const [count, previous] = await Promise.all([
+        LoginAttempt.countDocuments(filter),
+        LoginAttempt.findOne({ ...filter, _id: { $ne: attemptId } }).sort({ createdAt: -1 }).select('createdAt')
+    ]);
+    if (!previous) return null;
+
+    const waitUntil = previous.createdAt.getTime() + getBackoffMs(count - 1, IP_FREE_ATTEMPTS);
+    return waitUntil > now ? { reason: 'throttled', retryAfter: Math.ceil((waitUntil - now) / 1000) } : null;
+};
+
+// 账号退避：未锁定且已过等待时间时，原子地把本次尝试计入失败次数并设置下一次允许的时间
+const reserveAccountAttempt = async (userId, now) => {
+    const cutoff = new Date(now - ACCOUNT_FAILURE_RESET_MS);
+    const current = new Date(now);
+
+    return User.findOneAndUpdate(
+        {
+            _id: userId,
+            $and: [
+                { $or: [{ loginLockedUntil: null }, { loginLockedUntil: { $lte: current } }] },
+                { $or: [{ loginRetryAt: null }, { loginRetryAt: { $lte: current } }] }
+            ]
+        },
+        [
+            {
+                // 距上次失败太久则从 1 重新计数
+                $set: {
+                    failedLoginCount: {
+                        $cond: [{ $gt: ['$lastFailedLoginAt', cutoff] }, { $add: [{ $ifNull: ['$failedLoginCount', 0] }, 1] }, 1]
+                    },
+                    lastFailedLoginAt: current
+                }
+            },
+            { $set: { loginRetryAt: { $add: [current, backoffExpression('$failedLoginCount', ACCOUNT_FREE_ATTEMPTS)] } } }
+        ],
+        { new: true }
+    ).select('username email emailVerified failedLoginCount');
+};
+
+const getAccountBlock = async (userId, now) => {
+    const user = await User.findById(userId).select('loginLockedUntil loginRetryAt');
+    if (user?.loginLockedUntil && user.loginLockedUntil.getTime() > now) {
+        return { reason: 'locked', retryAfter: Math.ceil((user.loginLockedUntil.getTime() - now) / 1000) };
+    }
+    const retryAt = user?.loginRetryAt?.getTime() || now;
+    return { reason: 'throttled', retryAfter: Math.max(1, Math.ceil((retryAt - now) / 1000)) };
+};
+
+/**
+ * 校验凭据之前预留一次登录尝试：先计数，再检查账号和 IP 是否处于退避或锁定状态
+ * 并发请求各自计数，不会同时通过同一个退避窗口
+ * @param {object} req - Express 请求
+ * @param {object} options - { user, username, method }，用户名不存在时 user 为 null
+ * @returns {Promise<object>} - { blocked, attemptId, user, account }；blocked 为 { reason: 'locked'|'throttled', retryAfter }（秒）或 null
+ */
+export const reserveLoginAttempt = async (req, { user = null, username = '', method }) => {
+    const now = Date.now();
+    const client = getClientInfo(req);
+
+    const attempt = await LoginAttempt.create({
+        user: user?._id || null,
+        username: username || user?.username || '',
+        ...client,
+        method,
+        reason: 'pending'
+    });
+    const reservation = { blocked: null, attemptId: attempt._id, user, account: null, ip: client.ip };
+
+    reservation.blocked = await checkIpAllowed(client.ip, attempt._id, now);
+    if (!reservation.blocked && user) {
+        reservation.account = await reserveAccountAttempt(user._id, now);
+        if (!reservation.account) reservation.blocked = await getAccountBlock(user._id, now);
+    }
+
+    if (reservation.blocked) {
+        await LoginAttempt.updateOne({ _id: attempt._id }, { $set: { reason: reservation.blocked.reason } });
+    }
+
+    return reservation;
+};
+
+// 通知账号所有者：站内通知，邮箱已验证时再发一封邮件
+const notifyLockout = async (user, lockedUntil, ip) => {
+    const message = `Your account was temporarily locked after repeated failed sign-in attempts${ip ? ` from ${ip}` : ''}. `
+        + `It unlocks at ${lockedUntil.toISOString()}. If this wasn't you, consider changing your password.`;
+
+    try {
+        await createNotification({ type: 'security_alert', from: user._id, to: user._id, message });
+
+        if (user.email && user.emailVerified) {
+            await sendMail({
+                to: user.email,
+                subject: 'Your account was temporarily locked',
+                text: `Hi ${user.username},\n\n${message}`
+            });
+        }
+    } catch (error) {
+        logger.error(`Failed to send lockout notice to ${user._id}`, error);
+    }
+};
+
+/**
+ * 预留的尝试验证失败：记录原因（审计）；失败次数达到阈值时锁定账号并通知所有者
+ * @param {object} reservation - reserveLoginAttempt 的返回值
+ * @param {string} reason - 失败原因
+ */
+export const recordLoginFailure = async (reservation, reason) => {
+    await LoginAttempt.updateOne({ _id: reservation.attemptId }, { $set: { reason } });
+
+    const { account } = reservation;
+    if (!account || account.failedLoginCount < ACCOUNT_LOCK_THRESHOLD) return;
+
+    // 条件更新保证并发失败只触发一次锁定和通知
+    const lockedUntil = new Date(Date.now() + ACCOUNT_LOCK_MS);
+    const locked = await User.updateOne(
+        { _id: account._id, failedLoginCount: account.failedLoginCount },
+        { $set: { loginLockedUntil: lockedUntil, failedLoginCount: 0, lastFailedLoginAt: null, loginRetryAt: null } }
+    );
+
+    if (locked.modifiedCount === 1) {
+        logger.warn('Account locked after failed sign-ins', { userId: account._id.toString(), ip: reservation.ip });
+        await notifyLockout(account, lockedUntil, reservation.ip);
+    }
+};
+
+/**
+ * 第一因素通过、等待第二因素：本次尝试不计入 IP 失败，账号计数保留到第二因素通过后再清空
+ * @param {object} reservation - reserveLoginAttempt 的返回值
+ */
+export const releaseLoginAttempt = async (reservation) => {
+    await LoginAttempt.deleteOne({ _id: reservation.attemptId });
+};
+
+/**
+ * 登录成功：移除预留的尝试，清空账号的失败计数
+ * @param {object} reservation - reserveLoginAttempt 的返回值
+ */
+export const recordLoginSuccess = async (reservation) => {
+    await releaseLoginAttempt(reservation);
+    if (!reservation.user) return;
+    await User.updateOne(
+        { _id: reservation.user._id },
+        { $set: { failedLoginCount: 0, lastFailedLoginAt: null, loginRetryAt: null } }
+    );
+};
+
+/**
+ * 请求被拦截时的响应
+ * @param {object} res - Express 响应
+ * @param {object} blocked - reserveLoginAttempt 返回的 blocked
+ */
+export const sendLoginBlocked = (res, blocked) => {
+    res.set('Retry-After', String(blocked.retryAfter));
+    res.status(429).json({
+        message: blocked.reason === 'locked'
+            ? 'Account temporarily locked due to too many failed attempts.'
+            : 'Too many failed attempts. Please wait before trying again.',
+        retryAfter: blocked.retryAfter
+    });
+};
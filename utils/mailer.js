@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Sorami <no-reply@localhost>';
+const MAIL_FILE_DIR = path.resolve(process.env.MAIL_FILE_DIR || 'logs/mail');
+
+let smtpTransporter = null;
+
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+// 隐藏链接中的一次性令牌，避免验证/重置链接进入日志
+const redactTokens = (text = '') => text.replace(/([?&]token=)[^\s&]+/g, '$1[redacted]');
+
+// SMTP：按需加载 nodemailer，本地开发无需配置
+const smtpTransport = async (message) => {
+    if (!smtpTransporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        smtpTransporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    await smtpTransporter.sendMail(message);
+};
+
+// 输出到控制台，方便本地测试；非开发环境下链接中的令牌会被隐藏
+const consoleTransport = async (message) => {
+    const text = isDevelopment() ? message.text : redactTokens(message.text);
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${text}`);
+};
+
+// 每封邮件写成一个 .eml 文件
+const fileTransport = async (message) => {
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.eml`;
+    const content = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+    ].join('\r\n');
+    await fs.writeFile(path.join(MAIL_FILE_DIR, fileName), content);
+};
+
+const transports = {
+    smtp: smtpTransport,
+    console: consoleTransport,
+    file: fileTransport
+};
+
+/**
+ * 注册自定义发信方式（如第三方邮件 API）
+ * @param {string} name - 名称，通过 MAIL_TRANSPORT 选择
+ * @param {Function} transport - async (message) => void
+ */
+export const registerMailTransport = (name, transport) => {
+    transports[name] = transport;
+};
+
+/**
+ * 发送邮件，发信方式由 MAIL_TRANSPORT 决定（smtp / console / file）
+ * 未配置时仅开发环境（NODE_ENV=development）默认输出到控制台，其他环境直接报错
+ * @param {object} message - { to, subject, text, html }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    const name = process.env.MAIL_TRANSPORT || (isDevelopment() ? 'console' : null);
+    if (!name) {
+        throw new Error('MAIL_TRANSPORT is not configured');
+    }
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    await transport({ from: MAIL_FROM, to, subject, text, html });
+};
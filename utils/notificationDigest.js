@@ -0,0 +1,112 @@
+import User from '../models/User.js';
+import logger from './logger.js';
+import { sendMail } from './mailer.js';
+import { getNotificationGroups } from './notificationService.js';
+import { buildPushPayload, sendPushToUser } from './pushService.js';
+
+const DIGEST_INTERVAL_MS = parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_MS) || 15 * 60 * 1000;
+const MAX_DIGEST_GROUPS = 10;
+
+export const DIGEST_PERIODS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+let digestTimer = null;
+let running = false;
+
+/**
+ * 下一次发送摘要的时间
+ * @param {string} frequency - off / daily / weekly
+ * @param {Date} [from] - 起算时间
+ * @returns {Date|null}
+ */
+export const getNextDigestAt = (frequency, from = new Date()) => (
+    DIGEST_PERIODS[frequency] ? new Date(from.getTime() + DIGEST_PERIODS[frequency]) : null
+);
+
+// 原子地认领一个到期的用户，同时排好下一次发送时间
+const claimDueUser = () => {
+    const now = new Date();
+    return User.findOneAndUpdate(
+        { 'notificationDigest.nextAt': { $lte: now }, 'notificationDigest.frequency': { $in: Object.keys(DIGEST_PERIODS) } },
+        [{
+            $set: {
+                'notificationDigest.nextAt': {
+                    $add: [now, { $cond: [{ $eq: ['$notificationDigest.frequency', 'weekly'] }, DIGEST_PERIODS.weekly, DIGEST_PERIODS.daily] }]
+                },
+                'notificationDigest.lastSentAt': now
+            }
+        }],
+        { sort: { 'notificationDigest.nextAt': 1 } }
+    ).select('username email emailVerified notificationDigest');
+};
+
+// 构建并发送一位用户的摘要；期间没有未读动态时不发送
+const sendDigest = async (user) => {
+    const period = DIGEST_PERIODS[user.notificationDigest.frequency];
+    const lastSentAt = user.notificationDigest.lastSentAt;
+    const since = new Date(Math.max(lastSentAt ? lastSentAt.getTime() : 0, Date.now() - period));
+
+    const { groups } = await getNotificationGroups(user._id, { since, unreadOnly: true, limit: MAX_DIGEST_GROUPS });
+    if (groups.length === 0) return false;
+
+    const label = user.notificationDigest.frequency === 'weekly' ? 'this week' : 'today';
+    const lines = groups.map(group => `- ${group.summary}${group.count > 1 ? ` (${group.count})` : ''}`);
+
+    if (user.email && user.emailVerified) {
+        await sendMail({
+            to: user.email,
+            subject: `Your Sorami activity ${label}`,
+            text: `Hi ${user.username},\n\nHere's what you missed ${label}:\n\n${lines.join('\n')}\n`
+        });
+    } else {
+        await sendPushToUser(user._id, buildPushPayload({
+            title: `Your activity ${label}`,
+            body: groups.slice(0, 3).map(group => group.summary).join('; '),
+            url: '/notifications',
+            tag: 'notification-digest'
+        }), { skipIfOnline: false });
+    }
+
+    return true;
+};
+
+/**
+ * 发送所有到期的通知摘要
+ */
+export const sendDueDigests = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        let user;
+        while ((user = await claimDueUser())) {
+            try {
+                if (await sendDigest(user)) {
+                    logger.info('Notification digest sent', { userId: user._id.toString() });
+                }
+            } catch (error) {
+                // 已排好下一次发送时间，本期摘要放弃
+                logger.error(`Failed to send notification digest to ${user._id}`, error);
+            }
+        }
+    } catch (error) {
+        logger.error('Notification digest job error', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * 启动通知摘要任务
+ */
+export const startNotificationDigestJob = () => {
+    if (digestTimer) return;
+
+    sendDueDigests();
+    digestTimer = setInterval(sendDueDigests, DIGEST_INTERVAL_MS);
+    digestTimer.unref();
+
+    logger.info('Notification digest job started');
+};
@@ -0,0 +1,327 @@
+import NotificationPreference from '../models/NotificationPreference.js';
+import Follow from '../models/Follow.js';
+import logger from './logger.js';
+import { buildPushPayload, sendPushToUser } from './pushService.js';
+
+// 可配置的通知类型（security_alert 等系统通知始终送达）
+export const NOTIFICATION_TYPES = [
+    'like', 'reply', 'follow', 'follow_request', 'follow_accept', 'repost', 'quote',
+    'mention', 'message', 'group_message', 'group_event', 'poll'
+];
+export const CHANNELS = ['store', 'socket', 'push', 'onlyFollowing'];
+const DEFAULT_CHANNELS = { store: true, socket: true, push: true, onlyFollowing: false };
+
+// 私信和群消息本身经由聊天会话送达，不进入通知列表，只能配置 Web Push
+const PUSH_ONLY_CHANNELS = ['push', 'onlyFollowing'];
+const TYPE_CHANNELS = {
+    message: PUSH_ONLY_CHANNELS,
+    group_message: PUSH_ONLY_CHANNELS
+};
+
+/**
+ * 某类通知可配置的送达方式
+ * @param {string} type - 通知类型
+ * @returns {string[]}
+ */
+export const getTypeChannels = (type) => TYPE_CHANNELS[type] || CHANNELS;
+
+const HOLD_CHECK_INTERVAL_MS = parseInt(process.env.NOTIFICATION_QUIET_HOURS_INTERVAL_MS) || 5 * 60 * 1000;
+const MAX_HELD_PUSHES = 50;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+let flushTimer = null;
+let flushing = false;
+
+/**
+ * 时区名是否有效（IANA）
+ * @param {string} timeZone - 时区
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * 当前是否处于免打扰时段（支持跨午夜，如 22:00-08:00）
+ * @param {object} quietHours - { enabled, start, end, timeZone }
+ * @param {Date} [now] - 当前时间
+ * @returns {boolean}
+ */
+export const isQuietHours = (quietHours, now = new Date()) => {
+    if (!quietHours?.enabled || quietHours.start === quietHours.end) return false;
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimeZone(quietHours.timeZone) ? quietHours.timeZone : 'UTC',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+    const hour = Number(parts.find(part => part.type === 'hour').value);
+    const minute = Number(parts.find(part => part.type === 'minute').value);
+    const current = hour * 60 + minute;
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+};
+
+// 补全默认值，转换为普通对象
+const normalizePreferences = (doc) => {
+    const stored = doc?.types instanceof Map ? Object.fromEntries(doc.types) : (doc?.types || {});
+    const types = {};
+    for (const type of NOTIFICATION_TYPES) {
+        const channels = { ...DEFAULT_CHANNELS, ...((stored[type]?.toObject ? stored[type].toObject() : stored[type]) || {}) };
+        types[type] = Object.fromEntries(getTypeChannels(type).map(channel => [channel, channels[channel]]));
+    }
+
+    return {
+        types,
+        quietHours: {
+            enabled: false, start: '22:00', end: '08:00', timeZone: 'UTC',
+            ...(doc?.quietHours?.toObject ? doc.quietHours.toObject() : doc?.quietHours || {})
+        }
+    };
+};
+
+/**
+ * 读取用户的通知偏好（未设置的部分使用默认值）
+ * @param {string|ObjectId} userId - 用户ID
+ * @returns {Promise<object>} - { types, quietHours }
+ */
+export const getPreferences = async (userId) => (
+    normalizePreferences(await NotificationPreference.findOne({ user: userId }).select('types quietHours').lean())
+);
+
+/**
+ * 批量读取通知偏好
+ * @param {Array<string|ObjectId>} userIds - 用户ID
+ * @returns {Promise<Map<string, object>>}
+ */
+export const getPreferencesFor = async (userIds) => {
+    const docs = await NotificationPreference.find({ user: { $in: userIds } }).select('user types quietHours').lean();
+    const byUser = new Map(docs.map(doc => [doc.user.toString(), doc]));
+    return new Map(userIds.map(id => [id.toString(), normalizePreferences(byUser.get(id.toString()))]));
+};
+
+/**
+ * 校验并合并偏好更新（部分更新）
+ * @param {object} current - 当前偏好
+ * @param {object} input - { types, quietHours }
+ * @returns {object} - { value } 或 { error }
+ */
+export const mergePreferenceUpdate = (current, input) => {
+    if (!input || typeof input !== 'object') return { error: 'Invalid preferences' };
+    const { types, quietHours } = input;
+    const next = { types: { ...current.types }, quietHours: { ...current.quietHours } };
+
+    if (types !== undefined) {
+        if (!types || typeof types !== 'object' || Array.isArray(types)) return { error: 'types must be an object' };
+        for (const [type, channels] of Object.entries(types)) {
+            if (!NOTIFICATION_TYPES.includes(type)) return { error: `Unknown notification type: ${type}` };
+            if (!channels || typeof channels !== 'object') return { error: `Invalid settings for ${type}` };
+            for (const [channel, enabled] of Object.entries(channels)) {
+                if (!getTypeChannels(type).includes(channel) || typeof enabled !== 'boolean') {
+                    return { error: `Invalid setting ${type}.${channel}` };
+                }
+            }
+            next.types[type] = { ...next.types[type], ...channels };
+        }
+    }
+
+    if (quietHours !== undefined) {
+        if (!quietHours || typeof quietHours !== 'object') return { error: 'quietHours must be an object' };
+        const { enabled, start, end, timeZone } = quietHours;
+        if (enabled !== undefined && typeof enabled !== 'boolean') return { error: 'quietHours.enabled must be a boolean' };
+        if (start !== undefined && !TIME_PATTERN.test(start)) return { error: 'quietHours.start must be HH:MM' };
+        if (end !== undefined && !TIME_PATTERN.test(end)) return { error: 'quietHours.end must be HH:MM' };
+        if (timeZone !== undefined && !isValidTimeZone(timeZone)) return { error: 'Invalid time zone' };
+        Object.assign(next.quietHours, Object.fromEntries(
+            Object.entries({ enabled, start, end, timeZone }).filter(([, value]) => value !== undefined)
+        ));
+    }
+
+    return { value: next };
+};
+
+/**
+ * 决定每位接收者的送达方式
+ * @param {string} type - 通知类型
+ * @param {string|ObjectId} fromId - 发送者ID
+ * @param {Array<string|ObjectId>} recipientIds - 接收者ID
+ * @returns {Promise<Map<string, object>>} - 接收者ID -> { store, socket, push, quiet }，完全不送达的接收者不在其中
+ */
+export const resolveDeliveries = async (type, fromId, recipientIds) => {
+    const deliveries = new Map();
+    if (recipientIds.length === 0) return deliveries;
+
+    // 系统通知不受偏好控制
+    if (!NOTIFICATION_TYPES.includes(type)) {
+        recipientIds.forEach(id => deliveries.set(id.toString(), { store: true, socket: true, push: true, quiet: false }));
+        return deliveries;
+    }
+
+    const preferences = await getPreferencesFor(recipientIds);
+    const followersOnly = recipientIds.filter(id => preferences.get(id.toString()).types[type].onlyFollowing);
+    const followingSender = followersOnly.length > 0
+        ? new Set((await Follow.find({ follower: { $in: followersOnly }, following: fromId }).distinct('follower'))
+            .map(id => id.toString()))
+        : new Set();
+
+    const now = new Date();
+    for (const id of recipientIds) {
+        const key = id.toString();
+        const { types, quietHours } = preferences.get(key);
+        const channels = types[type];
+
+        if (channels.onlyFollowing && !followingSender.has(key)) continue;
+        if (!channels.store && !channels.socket && !channels.push) continue;
+
+        deliveries.set(key, {
+            store: channels.store === true,
+            socket: channels.socket === true,
+            push: channels.push,
+            quiet: isQuietHours(quietHours, now)
+        });
+    }
+
+    return deliveries;
+};
+
+// 免打扰期间暂存推送，结束后合并发送
+const holdPush = async (userId, type, payload) => {
+    await NotificationPreference.updateOne(
+        { user: userId },
+        {
+            $push: {
+                heldPushes: {
+                    $each: [{ type, title: payload.title, body: payload.body, url: payload.url, heldAt: new Date() }],
+                    $slice: -MAX_HELD_PUSHES
+                }
+            }
+        },
+        { upsert: true }
+    );
+    await NotificationPreference.updateOne({ user: userId, heldSince: null }, { $set: { heldSince: new Date() } });
+};
+
+/**
+ * 按偏好发送 Web Push：类型关闭推送时跳过，免打扰时段内暂存
+ * @param {string|ObjectId} userId - 接收者ID
+ * @param {string} type - 通知类型
+ * @param {object} payload - 推送负载
+ * @param {object} [delivery] - resolveDeliveries 的结果，省略时现查偏好
+ */
+export const deliverPush = async (userId, type, payload, delivery) => {
+    try {
+        if (!delivery) {
+            const { types, quietHours } = await getPreferences(userId);
+            const channels = types[type] || DEFAULT_CHANNELS;
+            delivery = { push: channels.push, quiet: isQuietHours(quietHours) };
+        }
+        if (!delivery.push) return;
+
+        // 在线用户已通过 Socket.IO 收到，无需暂存
+        if (delivery.quiet) {
+            if (!global.socketServer?.isUserOnline(userId)) await holdPush(userId, type, payload);
+            return;
+        }
+
+        await sendPushToUser(userId, payload);
+    } catch (error) {
+        logger.error(`Failed to deliver push to ${userId}`, error);
+    }
+};
+
+/**
+ * 按各接收者的偏好批量发送 Web Push（用于私信、群消息等不落入通知列表的事件）
+ * @param {string} type - 通知类型
+ * @param {string|ObjectId} fromId - 发送者ID
+ * @param {Array<string|ObjectId>} userIds - 接收者ID
+ * @param {object} payload - 推送负载
+ */
+export const deliverPushToUsers = async (type, fromId, userIds, payload) => {
+    try {
+        const deliveries = await resolveDeliveries(type, fromId, userIds);
+        await Promise.all([...deliveries].map(([userId, delivery]) => deliverPush(userId, type, payload, delivery)));
+    } catch (error) {
+        logger.error(`Failed to deliver ${type} push`, error);
+    }
+};
+
+// 合并发送免打扰期间暂存的推送
+const flushHeldPushes = async () => {
+    if (flushing) return;
+    flushing = true;
+
+    try {
+        const pending = await NotificationPreference.find({ heldSince: { $type: 'date' } }).select('user quietHours').lean();
+
+        for (const preference of pending) {
+            if (isQuietHours(preference.quietHours)) continue;
+
+            // 原子地取出并清空，避免多实例重复发送
+            const claimed = await NotificationPreference.findOneAndUpdate(
+                { _id: preference._id, heldSince: { $ne: null } },
+                { $set: { heldPushes: [], heldSince: null } }
+            ).select('heldPushes').lean();
+            const held = claimed?.heldPushes || [];
+            if (held.length === 0) continue;
+
+            const payload = held.length === 1
+                ? buildPushPayload({ title: held[0].title, body: held[0].body, url: held[0].url, tag: 'held-notifications' })
+                : buildPushPayload({
+                    title: `${held.length} notifications while you were away`,
+                    body: held.slice(-3).reverse().map(item => item.body).filter(Boolean).join(' · '),
+                    url: '/notifications',
+                    tag: 'held-notifications'
+                });
+
+            await sendPushToUser(preference.user, payload, { skipIfOnline: false });
+        }
+    } catch (error) {
+        logger.error('Quiet hours flush failed', error);
+    } finally {
+        flushing = false;
+    }
+};
+
+/**
+ * 启动免打扰结束后的推送合并发送任务
+ */
+export const startQuietHoursJob = () => {
+    if (flushTimer) return;
+
+    flushHeldPushes();
+    flushTimer = setInterval(flushHeldPushes, HOLD_CHECK_INTERVAL_MS);
+    flushTimer.unref();
+
+    logger.info('Quiet hours push job started');
+};
+
+/**
+ * 保存偏好
+ * @param {string|ObjectId} userId - 用户ID
+ * @param {object} preferences - mergePreferenceUpdate 的结果
+ * @returns {Promise<object>}
+ */
+export const savePreferences = async (userId, preferences) => {
+    await NotificationPreference.updateOne(
+        { user: userId },
+        { $set: { types: preferences.types, quietHours: preferences.quietHours } },
+        { upsert: true }
+    );
+    return preferences;
+};
@@ -0,0 +1,336 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import NotificationMarker from '../models/NotificationMarker.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+import { getHiddenAuthorIds, filterNotificationRecipients } from './visibility.js';
+import { encodeCursor, decodeCursor } from './pagination.js';
+import { notificationToPushPayload } from './pushService.js';
+import { resolveDeliveries, deliverPush } from './notificationPreferences.js';
+
+const SENDER_FIELDS = 'username avatarname avatarimg';
+
+/**
+ * 未读通知数（不含已屏蔽或静音用户发来的通知）
+ * @param {string|ObjectId} userId - 用户ID
+ * @returns {Promise<number>}
+ */
+export const getUnreadCount = async (userId) => {
+    const hidden = await getHiddenAuthorIds(userId);
+    return Notification.countDocuments({ to: userId, isRead: false, from: { $nin: hidden } });
+};
+
+/**
+ * 向用户所有在线连接推送最新的未读数
+ * @param {string|ObjectId} userId - 用户ID
+ */
+export const emitUnreadCount = async (userId) => {
+    const socketServer = global.socketServer;
+    if (!socketServer?.isUserOnline(userId)) return;
+
+    try {
+        socketServer.sendToUser(userId, 'unread_count', { count: await getUnreadCount(userId) });
+    } catch (error) {
+        logger.error(`Failed to emit unread count to ${userId}`, error);
+    }
+};
+
+// 去重标记：首次写入返回 true；与接收者是否落库无关，关闭落库的接收者同样只通知一次
+const claimMarker = async ({ type, from, to, post }) => {
+    const filter = { type, from, to, post: post || null };
+    try {
+        const result = await NotificationMarker.updateOne(filter, { $setOnInsert: filter }, { upsert: true });
+        return result.upsertedCount > 0;
+    } catch (error) {
+        // 并发写入同一标记时唯一索引冲突，视为已通知
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * 创建通知并实时推送：屏蔽或静音了发送者的接收者会被静默跳过
+ * 按接收者的通知偏好决定是否落库、Socket.IO 推送和 Web Push（离线时），免打扰时段内的 Web Push 会暂存
+ * @param {object} options
+ * @param {string} options.type - 通知类型
+ * @param {string|ObjectId} options.from - 发送者ID
+ * @param {Array<string|ObjectId>} options.to - 接收者ID
+ * @param {string|ObjectId} [options.post] - 相关帖子
+ * @param {string} [options.message] - 文本
+ * @param {boolean} [options.dedupe] - 同一发送者关于同一帖子的同类通知只发一次（如反复点赞/取消点赞），以去重标记为准
+ * @returns {Promise<object[]>} - 已创建的通知
+ */
+export const createNotifications = async ({ type, from, to, post, message, dedupe = false }) => {
+    let recipients = await filterNotificationRecipients(from, to);
+    if (dedupe && recipients.length > 0) {
+        recipients = (await Promise.all(recipients.map(async recipient => (
+            await claimMarker({ type, from, to: recipient, post }) ? recipient : null
+        )))).filter(Boolean);
+    }
+    if (recipients.length === 0) return [];
+
+    const deliveries = await resolveDeliveries(type, from, recipients);
+    if (deliveries.size === 0) return [];
+
+    // 关闭了落库的接收者仍可实时收到，只是不进入通知列表
+    const docs = [...deliveries.keys()].map(recipient => ({ type, from, to: recipient, post, message }));
+    const stored = docs.filter(doc => deliveries.get(doc.to).store);
+    const notifications = stored.length > 0 ? await Notification.insertMany(stored) : [];
+    const transient = docs
+        .filter(doc => !deliveries.get(doc.to).store)
+        .map(doc => new Notification({ ...doc, to: new mongoose.Types.ObjectId(doc.to) }));
+
+    // 推送失败不影响通知落库
+    try {
+        const populated = await Notification.populate([...notifications, ...transient], [
+            { path: 'from', select: SENDER_FIELDS },
+            { path: 'post', select: 'content' }
+        ]);
+        for (const notification of populated) {
+            const recipientId = notification.to.toString();
+            const delivery = deliveries.get(recipientId);
+            if (!global.socketServer?.isUserOnline(recipientId)) {
+                // 不等待推送服务响应
+                deliverPush(recipientId, type, notificationToPushPayload(notification), delivery);
+                continue;
+            }
+            if (!delivery.socket) continue;
+            global.socketServer.sendToUser(recipientId, 'notification', notification);
+            if (delivery.store) await emitUnreadCount(recipientId);
+        }
+    } catch (error) {
+        logger.error(`Failed to push ${type} notification`, error);
+    }
+
+    return notifications;
+};
+
+/**
+ * 创建单条通知，接收者被过滤时返回 null
+ * @param {object} options - 同 createNotifications，to 为单个接收者
+ * @returns {Promise<object|null>}
+ */
+export const createNotification = async ({ to, ...options }) => {
+    const [notification] = await createNotifications({ ...options, to: [to] });
+    return notification || null;
+};
+
+/**
+ * 撤回通知（如取消转发），并通知在线接收者移除和更新未读数
+ * @param {object} filter - Notification 查询条件
+ * @returns {Promise<number>} - 删除的通知数
+ */
+export const retractNotifications = async (filter) => {
+    const notifications = await Notification.find(filter).select('_id to').lean();
+    if (notifications.length === 0) return 0;
+
+    await Notification.deleteMany({ _id: { $in: notifications.map(notification => notification._id) } });
+
+    const idsByRecipient = new Map();
+    for (const { _id, to } of notifications) {
+        const key = to.toString();
+        if (!idsByRecipient.has(key)) idsByRecipient.set(key, []);
+        idsByRecipient.get(key).push(_id);
+    }
+
+    for (const [recipientId, ids] of idsByRecipient) {
+        if (!global.socketServer?.isUserOnline(recipientId)) continue;
+        global.socketServer.sendToUser(recipientId, 'notification_removed', { ids });
+        await emitUnreadCount(recipientId);
+    }
+
+    return notifications.length;
+};
+
+// 可聚合为 "alice, bob 和其他 N 人…" 的通知类型及其描述
+const GROUP_VERBS = {
+    like: 'liked your post',
+    repost: 'reposted your post',
+    quote: 'quoted your post',
+    reply: 'replied to your post',
+    mention: 'mentioned you',
+    follow: 'followed you',
+    follow_request: 'requested to follow you',
+    follow_accept: 'accepted your follow request',
+    message: 'sent you a message'
+};
+const MAX_GROUP_ACTORS = 3;
+
+/**
+ * 生成分组摘要，如 "alice, bob and 48 others liked your post"
+ * @param {string} type - 通知类型
+ * @param {string[]} names - 最近的发送者用户名
+ * @param {number} actorCount - 发送者总数
+ * @param {string} [fallback] - 无法聚合时使用的原始消息
+ * @returns {string}
+ */
+export const summarizeGroup = (type, names, actorCount, fallback) => {
+    const verb = GROUP_VERBS[type];
+    if (!verb || names.length === 0) return fallback || '';
+
+    let actors;
+    if (actorCount === 1 || names.length === 1) {
+        actors = actorCount > 1 ? `${names[0]} and ${actorCount - 1} ${actorCount === 2 ? 'other' : 'others'}` : names[0];
+    } else if (actorCount === 2) {
+        actors = `${names[0]} and ${names[1]}`;
+    } else {
+        const others = actorCount - 2;
+        actors = `${names[0]}, ${names[1]} and ${others} ${others === 1 ? 'other' : 'others'}`;
+    }
+
+    return `${actors} ${verb}`;
+};
+
+/**
+ * 分组标识：type:postId（无帖子时为 type:）
+ * @param {string} groupKey - 分组标识
+ * @returns {object|null} - { type, post }
+ */
+export const parseGroupKey = (groupKey) => {
+    if (typeof groupKey !== 'string') return null;
+    const [type, post, ...rest] = groupKey.split(':');
+    if (!type || rest.length > 0 || (post && !mongoose.Types.ObjectId.isValid(post))) return null;
+    return { type, post: post ? new mongoose.Types.ObjectId(post) : null };
+};
+
+// 按帖子聚合的类型（以及关注）；其他类型的每条通知单独成组
+const AGGREGATED_TYPES = ['like', 'repost', 'quote', 'reply', 'mention', 'follow'];
+const GROUP_ID = {
+    $cond: [
+        { $in: ['$type', AGGREGATED_TYPES] },
+        { type: '$type', post: '$post' },
+        { type: '$type', post: '$post', id: '$_id' }
+    ]
+};
+
+// 分组游标：(latestAt, latestId)，即上一页最后一组的最新通知
+const parseGroupCursor = (cursor) => {
+    const payload = decodeCursor(cursor);
+    if (!payload || typeof payload.t !== 'number' || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    return { latestAt: new Date(payload.t), latestId: new mongoose.Types.ObjectId(payload.id) };
+};
+
+/**
+ * 校验分组游标
+ * @param {string} cursor - 游标
+ * @returns {boolean}
+ */
+export const isValidGroupCursor = (cursor) => Boolean(parseGroupCursor(cursor));
+
+/**
+ * 按 (type, post) 聚合点赞、转发、回复等通知，其他通知各自一组，按最近一条的时间倒序分页
+ * @param {string|ObjectId} userId - 接收者ID
+ * @param {object} [options] - { cursor, limit, since, unreadOnly }
+ * @returns {Promise<object>} - { groups, nextCursor, hasMore }
+ */
+export const getNotificationGroups = async (userId, { cursor, limit = 20, since, unreadOnly = false } = {}) => {
+    const hidden = await getHiddenAuthorIds(userId);
+
+    const match = { to: new mongoose.Types.ObjectId(userId.toString()), from: { $nin: hidden } };
+    if (since) match.createdAt = { $gt: since };
+    if (unreadOnly) match.isRead = false;
+
+    // 翻页时只聚合游标之前的通知；游标及之后有通知的组已在前面的页中出现，需要排除
+    const position = cursor ? parseGroupCursor(cursor) : null;
+    let shownGroups = [];
+    if (position) {
+        const { latestAt, latestId } = position;
+        shownGroups = (await Notification.aggregate([
+            {
+                $match: {
+                    ...match,
+                    type: { $in: AGGREGATED_TYPES },
+                    $or: [{ createdAt: { $gt: latestAt } }, { createdAt: latestAt, _id: { $gte: latestId } }]
+                }
+            },
+            { $group: { _id: GROUP_ID } }
+        ])).map(group => group._id);
+        match.$and = [{ $or: [{ createdAt: { $lt: latestAt } }, { createdAt: latestAt, _id: { $lt: latestId } }] }];
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $sort: { createdAt: -1, _id: -1 } },
+        {
+            $group: {
+                _id: GROUP_ID,
+                latestAt: { $first: '$createdAt' },
+                latestId: { $first: '$_id' },
+                latestMessage: { $first: '$message' },
+                count: { $sum: 1 },
+                unreadCount: { $sum: { $cond: ['$isRead', 0, 1] } },
+                recentActors: { $push: '$from' },
+                actorSet: { $addToSet: '$from' }
+            }
+        }
+    ];
+    if (shownGroups.length > 0) pipeline.push({ $match: { _id: { $nin: shownGroups } } });
+    pipeline.push(
+        {
+            $project: {
+                _id: 0,
+                type: '$_id.type',
+                post: '$_id.post',
+                single: { $ifNull: ['$_id.id', false] },
+                latestAt: 1,
+                latestId: 1,
+                latestMessage: 1,
+                count: 1,
+                unreadCount: 1,
+                recentActors: { $slice: ['$recentActors', 50] },
+                actorCount: { $size: '$actorSet' }
+            }
+        },
+        { $sort: { latestAt: -1, latestId: -1 } },
+        { $limit: limit + 1 }
+    );
+
+    const docs = await Notification.aggregate(pipeline);
+    const hasMore = docs.length > limit;
+    const page = hasMore ? docs.slice(0, limit) : docs;
+
+    // 每组取最近的几个不同发送者
+    page.forEach(group => {
+        const seen = new Set();
+        group.actors = group.recentActors.filter(id => {
+            const key = id.toString();
+            if (seen.has(key) || seen.size >= MAX_GROUP_ACTORS) return false;
+            seen.add(key);
+            return true;
+        });
+        delete group.recentActors;
+    });
+
+    const [actors, posts] = await Promise.all([
+        User.find({ _id: { $in: page.flatMap(group => group.actors) } }).select(SENDER_FIELDS).lean(),
+        Post.find({ _id: { $in: page.map(group => group.post).filter(Boolean) } }).select('content').lean()
+    ]);
+    const actorById = new Map(actors.map(user => [user._id.toString(), user]));
+    const postById = new Map(posts.map(post => [post._id.toString(), post]));
+
+    const groups = page.map(group => {
+        const groupActors = group.actors.map(id => actorById.get(id.toString())).filter(Boolean);
+        return {
+            // 单条通知没有分组标识，用 id 标记已读
+            groupKey: group.single ? null : `${group.type}:${group.post || ''}`,
+            id: group.single ? group.latestId : undefined,
+            type: group.type,
+            post: group.post ? postById.get(group.post.toString()) || null : null,
+            actors: groupActors,
+            actorCount: group.actorCount,
+            count: group.count,
+            unreadCount: group.unreadCount,
+            isRead: group.unreadCount === 0,
+            latestAt: group.latestAt,
+            summary: summarizeGroup(group.type, groupActors.map(user => user.username), group.actorCount, group.latestMessage)
+        };
+    });
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore && last
+        ? encodeCursor({ t: last.latestAt.getTime(), id: last.latestId.toString() })
+        : null;
+
+    return { groups, nextCursor, hasMore };
+};
@@ -168,6 +168,16 @@ export const getFileUrl = async (fileName) => {
     }
 };
 
+// 生成有时效的私有下载链接（不受存储桶公开读取设置影响）
+export const getPresignedUrl = async (fileName, expirySeconds = 60 * 60) => {
+    try {
+        return await ossClient.presignedGetObject(getBucketName(), fileName, expirySeconds);
+    } catch (error) {
+        console.error('Error generating presigned URL:', error);
+        throw error;
+    }
+};
+
 // 删除文件
 export const deleteFromOSS = async (fileName) => {
     try {
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * 将游标数据编码为不透明字符串
+ * @param {object} payload - 游标数据
+ * @returns {string} - base64url 编码的游标
+ */
+export const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * 解码游标字符串
+ * @param {string} cursor - 游标字符串
+ * @returns {object|null} - 游标数据，无效时返回null
+ */
+export const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 根据文档生成 (排序字段, _id) 游标
+ * @param {object} doc - 当前页最后一个文档
+ * @param {string} field - 排序字段
+ * @returns {string} - 游标
+ */
+export const getDocCursor = (doc, field = 'createdAt') => {
+  const value = doc[field];
+  return encodeCursor({
+    v: value instanceof Date ? value.getTime() : value,
+    d: value instanceof Date,
+    id: doc._id.toString()
+  });
+};
+
+/**
+ * 将游标转换为 keyset 查询条件，保证新数据插入时翻页不重复、不遗漏
+ * @param {string} cursor - 游标
+ * @param {string} field - 排序字段
+ * @param {number} direction - 排序方向，-1 为降序，1 为升序
+ * @returns {object|null} - 查询条件，游标无效时返回null
+ */
+export const buildCursorFilter = (cursor, field = 'createdAt', direction = -1) => {
+  const payload = decodeCursor(cursor);
+  if (!payload || payload.v === undefined || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    return null;
+  }
+
+  const value = payload.d ? new Date(payload.v) : payload.v;
+  if (payload.d && isNaN(value.getTime())) {
+    return null;
+  }
+
+  const op = direction === -1 ? '$lt' : '$gt';
+  const id = new mongoose.Types.ObjectId(payload.id);
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+/**
+ * 截取当前页并生成下一页游标（查询时应多取一条用于判断是否还有更多）
+ * @param {object[]} docs - 查询结果（limit + 1 条）
+ * @param {number} limit - 每页数量
+ * @param {string} field - 排序字段
+ * @returns {object} - { items, nextCursor, hasMore }
+ */
+export const paginateResults = (docs, limit, field = 'createdAt') => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore && items.length > 0
+    ? getDocCursor(items[items.length - 1], field)
+    : null;
+
+  return { items, nextCursor, hasMore };
+};
@@ -0,0 +1,200 @@
+import Poll from '../models/Poll.js';
+import PollVote from '../models/PollVote.js';
+import logger from './logger.js';
+import { createNotification } from './notificationService.js';
+
+const MIN_POLL_DURATION_MS = 5 * 60 * 1000;
+const MAX_POLL_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+const CLOSE_CHECK_INTERVAL_MS = 60 * 1000;
+
+let closeTimer = null;
+let checking = false;
+
+/**
+ * 校验并规范化创建帖子时附带的投票参数
+ * @param {object} poll - { options: string[], multiple?: boolean, closesAt?: Date|string, durationMinutes?: number }
+ * @returns {object} - { error } 或 { value: { options, multiple, closesAt } }
+ */
+export const parsePollInput = (poll) => {
+    if (!poll || typeof poll !== 'object' || Array.isArray(poll)) {
+        return { error: 'Invalid poll data' };
+    }
+
+    const { options, multiple = false, closesAt, durationMinutes } = poll;
+
+    if (!Array.isArray(options) || options.length < 2 || options.length > 4) {
+        return { error: 'A poll must have between 2 and 4 options' };
+    }
+
+    const texts = [];
+    for (const option of options) {
+        if (typeof option !== 'string' || option.trim().length === 0 || option.trim().length > 80) {
+            return { error: 'Each poll option must be 1 to 80 characters' };
+        }
+        texts.push(option.trim());
+    }
+
+    if (new Set(texts.map(t => t.toLowerCase())).size !== texts.length) {
+        return { error: 'Poll options must be unique' };
+    }
+
+    if (typeof multiple !== 'boolean') {
+        return { error: 'Poll multiple must be a boolean' };
+    }
+
+    let closeTime;
+    if (closesAt !== undefined) {
+        closeTime = new Date(closesAt);
+    } else if (durationMinutes !== undefined) {
+        closeTime = new Date(Date.now() + Number(durationMinutes) * 60 * 1000);
+    } else {
+        return { error: 'Poll closesAt or durationMinutes is required' };
+    }
+
+    const duration = closeTime.getTime() - Date.now();
+    if (isNaN(duration) || duration < MIN_POLL_DURATION_MS || duration > MAX_POLL_DURATION_MS) {
+        return { error: 'Poll must close between 5 minutes and 7 days from now' };
+    }
+
+    return {
+        value: {
+            options: texts.map(text => ({ text })),
+            multiple,
+            closesAt: closeTime
+        }
+    };
+};
+
+/**
+ * 获取投票视图：未投票且未结束时不返回结果
+ * @param {object} poll - 投票
+ * @param {string} userId - 当前用户ID
+ * @returns {Promise<object>}
+ */
+export const getPollView = async (poll, userId) => {
+    const myVote = await PollVote.findOne({ poll: poll._id, user: userId }).select('choices');
+    const isClosed = poll.closesAt.getTime() <= Date.now();
+    const showResults = Boolean(myVote) || isClosed;
+
+    const view = {
+        _id: poll._id,
+        post: poll.post,
+        multiple: poll.multiple,
+        closesAt: poll.closesAt,
+        isClosed,
+        hasVoted: Boolean(myVote),
+        myChoices: myVote ? myVote.choices : [],
+        options: poll.options.map((option, index) => ({ index, text: option.text })),
+        resultsVisible: showResults
+    };
+
+    if (!showResults) return view;
+
+    const [counts, totalVoters] = await Promise.all([
+        PollVote.aggregate([
+            { $match: { poll: poll._id } },
+            { $unwind: '$choices' },
+            { $group: { _id: '$choices', votes: { $sum: 1 } } }
+        ]),
+        PollVote.countDocuments({ poll: poll._id })
+    ]);
+
+    const votesByIndex = new Map(counts.map(c => [c._id, c.votes]));
+    view.options = view.options.map(option => ({
+        ...option,
+        votes: votesByIndex.get(option.index) || 0
+    }));
+    view.totalVoters = totalVoters;
+
+    return view;
+};
+
+/**
+ * 投票或修改投票（截止前）
+ * @param {object} poll - 投票
+ * @param {string} userId - 用户ID
+ * @param {number[]} choices - 选项下标
+ * @returns {Promise<string|null>} - 错误信息，成功时返回null
+ */
+export const castVote = async (poll, userId, choices) => {
+    if (poll.closesAt.getTime() <= Date.now()) {
+        return 'Poll has closed';
+    }
+
+    if (!Array.isArray(choices) || choices.length === 0) {
+        return 'At least one choice is required';
+    }
+
+    const unique = [...new Set(choices)];
+    if (unique.length !== choices.length
+        || unique.some(i => !Number.isInteger(i) || i < 0 || i >= poll.options.length)) {
+        return 'Invalid choices';
+    }
+
+    if (!poll.multiple && unique.length > 1) {
+        return 'This poll allows only one choice';
+    }
+
+    const now = new Date();
+    const upsertVote = () => PollVote.updateOne(
+        { poll: poll._id, user: userId },
+        { $set: { choices: unique, updatedAt: now }, $setOnInsert: { createdAt: now } },
+        { upsert: true }
+    );
+
+    try {
+        await upsertVote();
+    } catch (error) {
+        // 并发的首次投票会触发唯一索引冲突，此时文档已存在，重试即为更新
+        if (error.code !== 11000) throw error;
+        await upsertVote();
+    }
+
+    return null;
+};
+
+/**
+ * 通知已结束投票的作者，每个投票只通知一次（多进程安全）
+ */
+export const notifyClosedPolls = async () => {
+    if (checking) return;
+    checking = true;
+
+    try {
+        let poll;
+        while ((poll = await Poll.findOneAndUpdate(
+            { closedNotifiedAt: null, closesAt: { $lte: new Date() } },
+            { $set: { closedNotifiedAt: new Date() } },
+            { sort: { closesAt: 1 }, new: true }
+        ))) {
+            try {
+                await createNotification({
+                    type: 'poll',
+                    from: poll.author,
+                    to: poll.author,
+                    post: poll.post,
+                    message: 'Your poll has ended'
+                });
+            } catch (notificationErr) {
+                logger.error('Failed to create poll notification', notificationErr);
+            }
+        }
+    } catch (error) {
+        logger.error('Poll close check failed', error);
+    } finally {
+        checking = false;
+    }
+};
+
+/**
+ * 启动投票结束检查任务
+ */
+export const startPollCloser = () => {
+    if (closeTimer) return;
+
+    notifyClosedPolls();
+    closeTimer = setInterval(notifyClosedPolls, CLOSE_CHECK_INTERVAL_MS);
+    closeTimer.unref();
+
+    logger.info('Poll close job started');
+};
@@ -0,0 +1,47 @@
+// 话题标签：# 后接字母、数字或下划线（支持中文等 Unicode 字母）
+const HASHTAG_REGEX = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]{1,50})/gu;
+// 提及：与用户名规则一致（3-20 位字母、数字、下划线）
+const MENTION_REGEX = /(^|[^\p{L}\p{N}_@])@([a-zA-Z0-9_]{3,20})(?![a-zA-Z0-9_])/gu;
+
+export const TAG_PATTERN = /^[\p{L}\p{N}_]{1,50}$/u;
+
+/**
+ * 规范化话题标签（小写）
+ * @param {string} tag - 话题标签（可带 #）
+ * @returns {string}
+ */
+export const normalizeTag = (tag) => tag.replace(/^#/, '').toLowerCase();
+
+/**
+ * 从帖子内容中提取话题标签和提及，偏移量为 UTF-16 下标，end 不包含
+ * @param {string} content - 帖子内容
+ * @returns {object} - { hashtags: [{ tag, start, end }], mentions: [{ username, start, end }] }
+ */
+export const extractEntities = (content) => {
+    const hashtags = [];
+    const mentions = [];
+
+    if (!content || typeof content !== 'string') {
+        return { hashtags, mentions };
+    }
+
+    for (const match of content.matchAll(HASHTAG_REGEX)) {
+        const start = match.index + match[1].length;
+        hashtags.push({
+            tag: normalizeTag(match[2]),
+            start,
+            end: start + match[2].length + 1
+        });
+    }
+
+    for (const match of content.matchAll(MENTION_REGEX)) {
+        const start = match.index + match[1].length;
+        mentions.push({
+            username: match[2],
+            start,
+            end: start + match[2].length + 1
+        });
+    }
+
+    return { hashtags, mentions };
+};
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Poll from '../models/Poll.js';
+import { extractEntities } from './postEntities.js';
+import { createNotifications } from './notificationService.js';
+import { resolveHandles } from './usernameService.js';
+
+/**
+ * 校验帖子图片数据
+ * @param {Array|undefined} images - 图片列表
+ * @returns {string|null} - 错误信息，无错误时返回null
+ */
+export const getImagesError = (images) => {
+    if (images === undefined || images === null) return null;
+
+    if (!Array.isArray(images)) {
+        return 'Images must be an array';
+    }
+
+    if (images.length > 9) {
+        return 'Maximum 9 images allowed per post';
+    }
+
+    for (const image of images) {
+        if (!image || !image.url || !image.filename) {
+            return 'Invalid image data';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * 解析话题标签和 @提及，只保留存在的用户
+ * @param {string} content - 帖子内容
+ * @returns {Promise<object>} - { hashtags, mentions, entities }，可直接写入 Post
+ */
+export const resolveEntities = async (content) => {
+    const { hashtags, mentions } = extractEntities(content);
+
+    // 旧用户名同样解析到改名后的账号
+    const userIdByName = await resolveHandles([...new Set(mentions.map(m => m.username))]);
+
+    const resolvedMentions = mentions
+        .filter(m => userIdByName.has(m.username))
+        .map(m => ({ ...m, user: userIdByName.get(m.username) }));
+
+    return {
+        hashtags: [...new Set(hashtags.map(h => h.tag))],
+        mentions: [...new Set([...userIdByName.values()].map(id => id.toString()))],
+        entities: { hashtags, mentions: resolvedMentions }
+    };
+};
+
+/**
+ * 向被提及的用户（作者本人、屏蔽或静音了作者的用户除外）发送 mention 通知
+ * @param {ObjectId} postId - 帖子ID
+ * @param {Array<string|ObjectId>} mentionIds - 被提及的用户ID
+ * @param {string|ObjectId} fromId - 作者ID
+ * @param {string} fromUsername - 作者用户名
+ */
+export const notifyMentions = async (postId, mentionIds, fromId, fromUsername) => {
+    const mentioned = mentionIds.filter(id => id.toString() !== fromId.toString());
+    if (mentioned.length === 0) return;
+
+    try {
+        await createNotifications({
+            type: 'mention',
+            from: fromId,
+            to: mentioned,
+            post: postId,
+            message: `${fromUsername} mentioned you in a post`
+        });
+    } catch (notificationErr) {
+        console.error('Failed to create mention notifications:', notificationErr);
+        // 通知创建失败不影响发帖
+    }
+};
+
+/**
+ * 发布一条新帖子并触发相关通知，即时发帖和定时发布共用
+ * @param {object} options
+ * @param {string|ObjectId} options.authorId - 作者ID
+ * @param {string} options.authorUsername - 作者用户名
+ * @param {string} options.content - 内容
+ * @param {Array} [options.images] - 图片
+ * @param {ObjectId} [options.sourceDraft] - 来源草稿，同一草稿只会发布一次
+ * @param {object} [options.poll] - 已校验的投票（parsePollInput 的结果），创建失败时帖子一并回滚
+ * @returns {Promise<object>} - 新帖子，内容为空时抛出错误
+ */
+export const publishPost = async ({ authorId, authorUsername, content, images = [], sourceDraft, poll }) => {
+    // 定时发布不经过路由校验，这里兜底
+    if (typeof content !== 'string' || !content.trim()) {
+        throw new Error('Post content is required');
+    }
+
+    const pollId = poll ? new mongoose.Types.ObjectId() : null;
+    const post = new Post({
+        content,
+        author: authorId,
+        images,
+        ...(sourceDraft ? { sourceDraft } : {}),
+        ...(pollId ? { poll: pollId } : {}),
+        ...(await resolveEntities(content))
+    });
+    await post.save();
+
+    // 投票创建成功后再通知，避免提及通知指向已回滚的帖子
+    if (poll) {
+        try {
+            await Poll.create({ _id: pollId, post: post._id, author: authorId, ...poll });
+        } catch (pollErr) {
+            await Post.deleteOne({ _id: post._id });
+            throw pollErr;
+        }
+    }
+
+    await notifyMentions(post._id, post.mentions, authorId, authorUsername);
+
+    return post;
+};
@@ -0,0 +1,158 @@
+import os from 'os';
+import Draft from '../models/Draft.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+import { publishPost } from './postPublisher.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS) || 30 * 1000;
+// 发布中的草稿超过该时间未完成，视为进程崩溃，允许其他进程重新认领
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+// 失败后等待多久再重试（乘以已尝试次数）
+const RETRY_DELAY_MS = 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * 校验定时发布时间
+ * @param {string|number} publishAt - 发布时间
+ * @returns {string|null} - 错误信息，无错误时返回null
+ */
+export const getPublishAtError = (publishAt) => {
+    const date = new Date(publishAt);
+    if (publishAt === null || isNaN(date.getTime())) {
+        return 'Invalid publishAt';
+    }
+
+    if (date.getTime() <= Date.now()) {
+        return 'publishAt must be in the future';
+    }
+
+    if (date.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+        return 'publishAt cannot be more than one year ahead';
+    }
+
+    return null;
+};
+
+// 原子地认领一条到期的草稿（或锁已过期的草稿）
+const claimDueDraft = () => {
+    const now = new Date();
+    return Draft.findOneAndUpdate(
+        {
+            $or: [
+                {
+                    status: 'scheduled',
+                    publishAt: { $lte: now },
+                    $or: [{ retryAt: null }, { retryAt: { $lte: now } }]
+                },
+                { status: 'publishing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'publishing', lockedAt: now, lockedBy: INSTANCE_ID },
+            $inc: { attempts: 1 }
+        },
+        { sort: { publishAt: 1 }, new: true }
+    );
+};
+
+/**
+ * 发布一条已认领的草稿
+ * @param {object} draft - 草稿（状态为 publishing）
+ * @returns {Promise<object>} - 发布后的帖子
+ */
+export const publishDraft = async (draft) => {
+    const author = await User.findById(draft.author).select('username');
+    if (!author) {
+        throw new Error('Draft author no longer exists');
+    }
+
+    let post;
+    try {
+        post = await publishPost({
+            authorId: author._id,
+            authorUsername: author.username,
+            content: draft.content,
+            images: draft.images,
+            sourceDraft: draft._id
+        });
+    } catch (error) {
+        // 另一进程已经发布过该草稿：不重复发布，也不重复通知
+        if (error.code !== 11000) throw error;
+        post = await Post.findOne({ sourceDraft: draft._id });
+        if (!post) throw error;
+    }
+
+    await Draft.updateOne(
+        { _id: draft._id },
+        {
+            $set: {
+                status: 'published',
+                publishedPost: post._id,
+                publishedAt: post.createdAt,
+                lockedAt: null,
+                lockedBy: null,
+                lastError: null
+            }
+        }
+    );
+
+    return post;
+};
+
+/**
+ * 处理所有到期的定时帖子
+ */
+export const publishDueDrafts = async () => {
+    if (polling) return;
+    polling = true;
+
+    try {
+        let draft;
+        while ((draft = await claimDueDraft())) {
+            try {
+                const post = await publishDraft(draft);
+                logger.info(`Scheduled post published`, { draftId: draft._id.toString(), postId: post._id.toString() });
+            } catch (error) {
+                const failed = draft.attempts >= MAX_ATTEMPTS;
+                await Draft.updateOne(
+                    { _id: draft._id, lockedBy: INSTANCE_ID },
+                    {
+                        $set: {
+                            status: failed ? 'failed' : 'scheduled',
+                            lockedAt: null,
+                            lockedBy: null,
+                            lastError: error.message,
+                            // 稍后重试该草稿，本轮继续处理其他到期的草稿
+                            retryAt: failed ? null : new Date(Date.now() + RETRY_DELAY_MS * draft.attempts)
+                        }
+                    }
+                );
+                logger.error(`Failed to publish scheduled post ${draft._id}`, error);
+            }
+        }
+    } catch (error) {
+        logger.error('Post scheduler error', error);
+    } finally {
+        polling = false;
+    }
+};
+
+/**
+ * 启动定时发布任务。状态保存在数据库中，重启后会继续处理到期的帖子
+ */
+export const startPostScheduler = () => {
+    if (pollTimer) return;
+
+    publishDueDrafts();
+    pollTimer = setInterval(publishDueDrafts, POLL_INTERVAL_MS);
+    pollTimer.unref();
+
+    logger.info(`Post scheduler started (${INSTANCE_ID})`);
+};
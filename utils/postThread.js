@@ -0,0 +1,138 @@
+import Post from '../models/Post.js';
+import { buildCursorFilter, paginateResults } from './pagination.js';
+import { getHiddenAmong, isPostHidden } from './visibility.js';
+
+export const DEFAULT_THREAD_DEPTH = 3;
+export const MAX_THREAD_DEPTH = 10;
+const DEFAULT_REPLY_LIMIT = 20;
+// 单次请求最多加载的回复数
+const MAX_THREAD_NODES = 500;
+
+const AUTHOR_FIELDS = 'username avatarname avatarimg badges';
+
+/**
+ * 计算回复在线程中的位置（物化路径）
+ * @param {object} parentPost - 父帖子
+ * @returns {object} - { root, ancestors, depth }
+ */
+export const getThreadPosition = (parentPost) => {
+    const ancestors = [...(parentPost.ancestors || []), parentPost._id];
+    return {
+        root: ancestors[0],
+        ancestors,
+        depth: ancestors.length
+    };
+};
+
+/**
+ * 逐层加载回复：每个父帖子单独带 limit 查询直接回复（按时间正序），节点总数有上限
+ * 对当前用户隐藏的作者（屏蔽、静音、未关注的私密账号）的回复不返回，其下的分支也不再展开
+ * @param {object} post - 线程起点帖子
+ * @param {object} options
+ * @param {number} options.depth - 展开深度
+ * @param {number} options.limit - 每个父帖子每页回复数
+ * @param {string} [options.cursor] - 起点帖子直接回复的分页游标
+ * @param {string|ObjectId} [options.viewerId] - 当前用户ID
+ * @returns {Promise<Map<string, object>>} - 父帖子ID -> { replies, hasMore, nextCursor }，未展开的父帖子不在其中
+ */
+const loadReplyPages = async (post, { depth, limit, cursor, viewerId }) => {
+    const pages = new Map();
+    const cursorFilter = cursor ? buildCursorFilter(cursor, 'createdAt', 1) : {};
+    let parents = [post];
+    let loaded = 0;
+
+    for (let level = 0; level < depth && parents.length > 0; level++) {
+        // 超出节点上限的分支留给客户端用该节点的 /thread 继续加载
+        const budget = Math.ceil((MAX_THREAD_NODES - loaded) / limit);
+        if (budget <= 0) break;
+        const expanding = parents
+            .filter(parent => level === 0 || (parent.replyCount || 0) > 0)
+            .slice(0, budget);
+
+        const results = await Promise.all(expanding.map(parent => Post.find({
+            parent: parent._id,
+            ...(level === 0 ? cursorFilter : {})
+        })
+            .sort({ createdAt: 1, _id: 1 })
+            .limit(limit + 1)
+            .populate('author', AUTHOR_FIELDS)
+            .populate({
+                path: 'repost',
+                populate: { path: 'author', select: AUTHOR_FIELDS }
+            })));
+
+        const fetched = results.flat();
+        loaded += fetched.length;
+        const hidden = viewerId
+            ? await getHiddenAmong(viewerId, fetched
+                .flatMap(reply => [reply.author, reply.repost?.author])
+                .filter(Boolean)
+                .map(author => author._id || author))
+            : new Set();
+
+        parents = [];
+        expanding.forEach((parent, index) => {
+            const { items, hasMore, nextCursor } = paginateResults(results[index], limit);
+            // 过滤掉无效的回复（作者不存在的）
+            const replies = items.filter(reply => reply.author && !isPostHidden(reply, hidden));
+            pages.set(parent._id.toString(), { replies, hasMore, nextCursor });
+            parents.push(...replies);
+        });
+    }
+
+    return pages;
+};
+
+/**
+ * 取出某帖子下指定深度内的回复（按时间正序的扁平列表），每个父帖子最多 limit 条
+ * @param {object} post - 线程起点帖子
+ * @param {number} depth - 相对深度
+ * @param {string|ObjectId} [viewerId] - 当前用户ID
+ * @param {number} [limit] - 每个父帖子的回复数
+ * @returns {Promise<object[]>}
+ */
+export const findDescendants = async (post, depth, viewerId, limit = DEFAULT_REPLY_LIMIT) => {
+    const pages = await loadReplyPages(post, { depth, limit, viewerId });
+    return [...pages.values()]
+        .flatMap(page => page.replies)
+        .sort((a, b) => a.createdAt - b.createdAt || a._id.toString().localeCompare(b._id.toString()));
+};
+
+/**
+ * 构建会话树：每层按时间正序分页，超出深度（或节点上限）的分支只返回回复数
+ * 任一节点的 repliesCursor 用于该节点自己的 /thread?cursor= 请求
+ * @param {object} post - 线程起点帖子（已 populate）
+ * @param {object} options
+ * @param {number} options.depth - 展开深度
+ * @param {number} options.limit - 每层每页回复数
+ * @param {string} [options.cursor] - 起点帖子直接回复的分页游标
+ * @param {Function} options.format - 帖子格式化函数
+ * @param {string|ObjectId} [options.viewerId] - 当前用户ID，用于隐藏对其不可见的回复
+ * @returns {Promise<object>} - 树根节点
+ */
+export const buildThread = async (post, { depth, limit, cursor, format, viewerId }) => {
+    const pages = depth > 0 ? await loadReplyPages(post, { depth, limit, cursor, viewerId }) : new Map();
+
+    const buildNode = (doc) => {
+        const node = format(doc);
+        node.replyCount = doc.replyCount || 0;
+        node.replies = [];
+        node.repliesCursor = null;
+        node.hasMoreReplies = false;
+
+        // 未展开：折叠分支，仅返回回复数
+        const page = pages.get(doc._id.toString());
+        if (!page) {
+            node.hasMoreReplies = node.replyCount > 0;
+            return node;
+        }
+
+        node.hasMoreReplies = page.hasMore;
+        node.repliesCursor = page.nextCursor;
+        node.replies = page.replies.map(buildNode);
+
+        return node;
+    };
+
+    return buildNode(post);
+};
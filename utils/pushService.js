@@ -0,0 +1,92 @@
+import PushSubscription from '../models/PushSubscription.js';
+import logger from './logger.js';
+import webpush, { isWebPushConfigured } from './webPush.js';
+
+// 加密后的负载不能超过 4KB，留出加密开销的余量
+const MAX_PAYLOAD_BYTES = 3000;
+const MAX_BODY_LENGTH = 200;
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+const byteLength = (value) => Buffer.byteLength(JSON.stringify(value));
+
+const truncate = (text, length) => (
+    typeof text === 'string' && text.length > length ? `${text.slice(0, length - 1)}…` : text
+);
+
+/**
+ * 构建推送负载，超出大小限制时依次截断正文、丢弃附加数据
+ * @param {object} payload - { title, body, url, tag, data }
+ * @returns {object}
+ */
+export const buildPushPayload = ({ title, body, url, tag, data }) => {
+    const payload = { title: truncate(title, 100), body: truncate(body, MAX_BODY_LENGTH), url, tag, data };
+
+    if (byteLength(payload) > MAX_PAYLOAD_BYTES) delete payload.data;
+    while (byteLength(payload) > MAX_PAYLOAD_BYTES && payload.body?.length > 20) {
+        payload.body = truncate(payload.body, Math.floor(payload.body.length / 2));
+    }
+
+    return payload;
+};
+
+/**
+ * 通知转换为推送负载
+ * @param {object} notification - 已填充 from 的通知
+ * @returns {object}
+ */
+export const notificationToPushPayload = (notification) => buildPushPayload({
+    title: notification.from?.username ? `@${notification.from.username}` : 'Sorami',
+    body: notification.message || notification.type,
+    url: notification.post ? `/post/${notification.post._id || notification.post}` : '/notifications',
+    tag: `notification-${notification.type}-${notification.post?._id || notification.post || notification._id}`,
+    data: { type: 'notification', notificationId: notification._id?.toString(), notificationType: notification.type }
+});
+
+// 向单个订阅推送；订阅已失效（404/410）时删除
+const sendToSubscription = async (subscription, body) => {
+    try {
+        await webpush.sendNotification(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            body,
+            { TTL: PUSH_TTL_SECONDS }
+        );
+        await PushSubscription.updateOne({ _id: subscription._id }, { $set: { lastSuccessAt: new Date() } });
+    } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+            await PushSubscription.deleteOne({ _id: subscription._id });
+            logger.info('Pruned expired push subscription', { subscriptionId: subscription._id.toString() });
+            return;
+        }
+        logger.error(`Web push failed for subscription ${subscription._id}`, error);
+    }
+};
+
+/**
+ * 通过 Web Push 发送给用户的所有设备；用户有在线连接时默认跳过（已由 Socket.IO 送达）
+ * @param {string|ObjectId} userId - 用户ID
+ * @param {object} payload - buildPushPayload 的结果
+ * @param {object} [options] - { skipIfOnline }
+ */
+export const sendPushToUser = async (userId, payload, { skipIfOnline = true } = {}) => {
+    if (!isWebPushConfigured()) return;
+    if (skipIfOnline && global.socketServer?.isUserOnline(userId)) return;
+
+    try {
+        const subscriptions = await PushSubscription.find({ user: userId }).select('endpoint keys').lean();
+        if (subscriptions.length === 0) return;
+
+        const body = JSON.stringify(payload);
+        await Promise.all(subscriptions.map(subscription => sendToSubscription(subscription, body)));
+    } catch (error) {
+        logger.error(`Failed to send web push to ${userId}`, error);
+    }
+};
+
+/**
+ * 批量推送给多个用户（各自跳过在线用户）
+ * @param {Array<string|ObjectId>} userIds - 用户ID
+ * @param {object} payload - 推送负载
+ */
+export const sendPushToUsers = async (userIds, payload) => {
+    await Promise.all(userIds.map(userId => sendPushToUser(userId, payload)));
+};
@@ -0,0 +1,105 @@
+import { normalizeTag, TAG_PATTERN } from './postEntities.js';
+
+const MAX_TERMS = 10;
+const SNIPPET_RADIUS = 60;
+
+// 拆分查询：双引号短语整体保留，其余按空白切分
+const TOKEN_REGEX = /(-?)"([^"]*)"|(\S+)/g;
+
+// 去掉会改变 $text 语义的字符（引号、开头的减号），只保留字面内容
+const cleanTerm = (term) => term.replace(/"/g, '').replace(/^-+/, '').trim();
+
+/**
+ * 解析搜索查询：支持 from:用户名、#话题、"短语" 和 -排除词
+ * 用户输入只会被切分成词元，不会作为正则编译
+ * @param {string} q - 原始查询
+ * @returns {object} - { terms, phrases, excluded, from, tags, textSearch }
+ */
+export const parseSearchQuery = (q) => {
+    const parsed = { terms: [], phrases: [], excluded: [], from: null, tags: [] };
+
+    for (const match of q.matchAll(TOKEN_REGEX)) {
+        const [, negated, phrase, word] = match;
+
+        if (phrase !== undefined) {
+            const text = cleanTerm(phrase);
+            if (text) (negated ? parsed.excluded : parsed.phrases).push(text);
+            continue;
+        }
+
+        const fromMatch = /^from:@?([a-zA-Z0-9_]{3,20})$/.exec(word);
+        if (fromMatch) {
+            parsed.from = fromMatch[1];
+            continue;
+        }
+
+        if (word.startsWith('#') && TAG_PATTERN.test(word.slice(1))) {
+            parsed.tags.push(normalizeTag(word));
+            continue;
+        }
+
+        const text = cleanTerm(word);
+        if (!text) continue;
+        (word.startsWith('-') ? parsed.excluded : parsed.terms).push(text);
+    }
+
+    parsed.terms = parsed.terms.slice(0, MAX_TERMS);
+    parsed.phrases = parsed.phrases.slice(0, MAX_TERMS);
+    parsed.excluded = parsed.excluded.slice(0, MAX_TERMS);
+    parsed.tags = [...new Set(parsed.tags)].slice(0, MAX_TERMS);
+
+    // 重新拼出 $text 查询串；只有排除词时 $text 不会匹配任何文档，因此需要至少一个正向词
+    const positive = [...parsed.terms, ...parsed.phrases.map(p => `"${p}"`)];
+    parsed.textSearch = positive.length > 0
+        ? [...positive, ...parsed.excluded.map(e => `-${e}`)].join(' ')
+        : null;
+
+    return parsed;
+};
+
+/**
+ * 生成带高亮区间的摘要，按字面（不区分大小写）查找词元
+ * @param {string} text - 原文
+ * @param {string[]} terms - 需要高亮的词元
+ * @returns {object|null} - { snippet, highlights: [{ start, end }] }，偏移量相对于 snippet
+ */
+export const buildSnippet = (text, terms) => {
+    if (!text || typeof text !== 'string') return null;
+
+    const lower = text.toLowerCase();
+    const matches = [];
+    for (const term of terms) {
+        const needle = term.toLowerCase();
+        if (!needle) continue;
+
+        let index = lower.indexOf(needle);
+        while (index !== -1) {
+            matches.push({ start: index, end: index + needle.length });
+            index = lower.indexOf(needle, index + needle.length);
+        }
+    }
+
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    // 以第一个命中为中心截取
+    const center = matches.length > 0 ? matches[0].start : 0;
+    const from = Math.max(0, center - SNIPPET_RADIUS);
+    const to = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+
+    const highlights = [];
+    for (const { start, end } of matches) {
+        if (start < from || end > to) continue;
+        // 合并重叠区间
+        const last = highlights[highlights.length - 1];
+        const shifted = { start: start - from + prefix.length, end: end - from + prefix.length };
+        if (last && shifted.start <= last.end) {
+            last.end = Math.max(last.end, shifted.end);
+        } else {
+            highlights.push(shifted);
+        }
+    }
+
+    return { snippet: prefix + text.slice(from, to) + suffix, highlights };
+};
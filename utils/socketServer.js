@@ -1,6 +1,6 @@
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
 import logger from './logger.js';
+import { verifyAccessToken, signAccessToken } from './tokenService.js';
 
 class SocketServer {
   constructor(server) {
@@ -11,8 +11,8 @@ class SocketServer {
       }
     });
     
-    this.connectedUsers = new Map(); // userId -> socketId
-    this.userSockets = new Map(); // userId -> socket instance
+    this.connectedUsers = new Map(); // userId -> Set of socketIds (one per device/tab)
+    this.userSockets = new Map(); // userId -> most recent socket instance
     
     this.setupMiddleware();
     this.setupEventHandlers();
@@ -22,7 +22,7 @@ class SocketServer {
 
   setupMiddleware() {
     // Authentication middleware
-    this.io.use((socket, next) => {
+    this.io.use(async (socket, next) => {
       const token = socket.handshake.auth.token || socket.handshake.headers.authorization;
       
       if (!token) {
@@ -30,9 +30,11 @@ class SocketServer {
       }
 
       try {
-        const decoded = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
+        // Revoked sessions cannot open new connections
+        const decoded = await verifyAccessToken(token.replace('Bearer ', ''));
         socket.userId = decoded.userId;
         socket.username = decoded.username;
+        socket.sessionId = decoded.sid;
         next();
       } catch (error) {
         logger.error('Socket authentication error:', error.message);
@@ -45,16 +47,27 @@ class SocketServer {
     this.io.on('connection', (socket) => {
       logger.info(`User ${socket.username} (${socket.userId}) connected`);
       
-      // Store user connection
-      this.connectedUsers.set(socket.userId, socket.id);
+      // Store user connection; every socket of a user joins the user's room
+      const wasOnline = this.connectedUsers.has(socket.userId);
+      if (!wasOnline) this.connectedUsers.set(socket.userId, new Set());
+      this.connectedUsers.get(socket.userId).add(socket.id);
       this.userSockets.set(socket.userId, socket);
+      socket.join(this.getUserRoom(socket.userId));
       
       // Broadcast user online status
-      this.broadcastUserStatus(socket.userId, true);
+      if (!wasOnline) this.broadcastUserStatus(socket.userId, true);
       
-      // Handle disconnection
+      // Handle disconnection; the user stays online while any other socket is connected
       socket.on('disconnect', () => {
         logger.info(`User ${socket.username} (${socket.userId}) disconnected`);
+        const socketIds = this.connectedUsers.get(socket.userId);
+        socketIds?.delete(socket.id);
+        if (socketIds && socketIds.size > 0) {
+          if (this.userSockets.get(socket.userId) === socket) {
+            this.userSockets.set(socket.userId, this.io.sockets.sockets.get(socketIds.values().next().value));
+          }
+          return;
+        }
         this.connectedUsers.delete(socket.userId);
         this.userSockets.delete(socket.userId);
         this.broadcastUserStatus(socket.userId, false);
@@ -140,12 +153,14 @@ class SocketServer {
     });
   }
 
-  // Send notification to specific user
+  // Room joined by all of a user's sockets
+  getUserRoom(userId) {
+    return `user_${userId}`;
+  }
+
+  // Send notification to all of a user's live sockets
   sendToUser(userId, event, data) {
-    const socketId = this.connectedUsers.get(userId);
-    if (socketId) {
-      this.io.to(socketId).emit(event, data);
-    }
+    this.io.to(this.getUserRoom(userId.toString())).emit(event, data);
   }
 
   // Send to multiple users
@@ -167,13 +182,39 @@ class SocketServer {
 
   // Check if user is online
   isUserOnline(userId) {
-    return this.connectedUsers.has(userId);
+    return this.connectedUsers.has(userId.toString());
   }
 
   // Get user's socket
   getUserSocket(userId) {
     return this.userSockets.get(userId);
   }
+
+  // Disconnect live connections that belong to revoked sessions
+  disconnectSessions(sessionIds) {
+    const revoked = new Set(sessionIds.map(id => id.toString()));
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (revoked.has(socket.sessionId)) {
+        socket.emit('session_revoked', { sessionId: socket.sessionId });
+        socket.disconnect(true);
+      }
+    }
+  }
+
+  // Update the username on a user's live connections and hand each one a token re-issued for its own session
+  updateUsername(user) {
+    const userId = user._id.toString();
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.userId === userId) {
+        socket.username = user.username;
+        socket.emit('username_changed', {
+          userId,
+          username: user.username,
+          token: signAccessToken(user, socket.sessionId)
+        });
+      }
+    }
+  }
 }
 
 export default SocketServer;
@@ -0,0 +1,206 @@
+import mongoose from 'mongoose';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Group from '../models/Group.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { getHiddenAuthorIds } from './visibility.js';
+
+const CACHE_TTL_MS = parseInt(process.env.SUGGESTIONS_CACHE_TTL_MS) || 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 10000;
+const MAX_SUGGESTIONS = 50;
+
+// 图遍历规模上限，避免大账号拖慢请求
+const MAX_FOLLOWING_SCANNED = 500;
+const MAX_LIKED_POSTS_SCANNED = 100;
+const MAX_GROUPS_SCANNED = 50;
+const MAX_CANDIDATES = 200;
+
+// 各信号的权重
+const WEIGHTS = {
+    followedBy: 3,
+    sharedLikes: 1,
+    sharedGroups: 2
+};
+
+const USER_FIELDS = 'username avatarname avatarimg badges isPrivate followersCount';
+
+// userId -> { expiresAt, suggestions }
+const cache = new Map();
+
+/**
+ * 使某用户的推荐缓存失效（关注、屏蔽等操作后调用）
+ * @param {...(string|ObjectId)} userIds - 用户ID
+ */
+export const invalidateSuggestions = (...userIds) => {
+    userIds.forEach(id => cache.delete(id.toString()));
+};
+
+// 生成可读的推荐理由
+const describeReason = (candidate, usernames) => {
+    if (candidate.followedBy.length > 0) {
+        const name = usernames.get(candidate.followedBy[0]);
+        const others = candidate.followedBy.length - 1;
+        if (!name) return `Followed by ${candidate.followedBy.length} people you follow`;
+        return others > 0
+            ? `Followed by ${name} and ${others} ${others === 1 ? 'other' : 'others'}`
+            : `Followed by ${name}`;
+    }
+    if (candidate.groups.length > 0) {
+        const others = candidate.groups.length - 1;
+        return others > 0
+            ? `In ${candidate.groups[0]} and ${others} other ${others === 1 ? 'group' : 'groups'} with you`
+            : `In ${candidate.groups[0]} with you`;
+    }
+    if (candidate.sharedLikes > 0) {
+        return `Liked ${candidate.sharedLikes} of the same ${candidate.sharedLikes === 1 ? 'post' : 'posts'}`;
+    }
+    return 'Popular account';
+};
+
+// 遍历社交图，计算候选用户及其信号
+const computeSuggestions = async (userId) => {
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    const [recentFollows, hidden, requested] = await Promise.all([
+        Follow.find({ follower: userObjectId })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(MAX_FOLLOWING_SCANNED)
+            .select('following')
+            .lean(),
+        getHiddenAuthorIds(userObjectId),
+        FollowRequest.find({ from: userObjectId }).distinct('to')
+    ]);
+
+    const following = recentFollows.map(follow => follow.following);
+
+    // 已关注的全部用户也要排除（上面的 following 只取了最近的一部分）
+    const allFollowing = following.length < MAX_FOLLOWING_SCANNED
+        ? following
+        : await Follow.find({ follower: userObjectId }).distinct('following');
+
+    const excluded = new Set([userObjectId, ...allFollowing, ...hidden, ...requested].map(id => id.toString()));
+    const excludedIds = [...excluded].map(id => new mongoose.Types.ObjectId(id));
+
+    const candidates = new Map();
+    const getCandidate = (id) => {
+        const key = id.toString();
+        if (!candidates.has(key)) {
+            candidates.set(key, { id: key, followedBy: [], sharedLikes: 0, groups: [] });
+        }
+        return candidates.get(key);
+    };
+
+    const [friendsOfFriends, likedPosts, groups] = await Promise.all([
+        // 关注的人又关注了谁
+        following.length > 0
+            ? Follow.aggregate([
+                { $match: { follower: { $in: following }, following: { $nin: excludedIds } } },
+                { $group: { _id: '$following', via: { $push: '$follower' }, count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $limit: MAX_CANDIDATES }
+            ])
+            : [],
+        // 点赞过相同帖子的人
+        Post.find({ likes: userObjectId })
+            .sort({ createdAt: -1 })
+            .limit(MAX_LIKED_POSTS_SCANNED)
+            .select('likes')
+            .lean(),
+        // 同群成员
+        Group.find({ 'members.user': userObjectId, status: 'active' })
+            .limit(MAX_GROUPS_SCANNED)
+            .select('name members.user')
+            .lean()
+    ]);
+
+    for (const { _id, via } of friendsOfFriends) {
+        getCandidate(_id).followedBy = via.map(id => id.toString());
+    }
+
+    for (const post of likedPosts) {
+        for (const liker of post.likes) {
+            if (!excluded.has(liker.toString())) getCandidate(liker).sharedLikes += 1;
+        }
+    }
+
+    for (const group of groups) {
+        for (const member of group.members) {
+            if (member.user && !excluded.has(member.user.toString())) {
+                getCandidate(member.user).groups.push(group.name);
+            }
+        }
+    }
+
+    const scored = [...candidates.values()]
+        .map(candidate => ({
+            ...candidate,
+            score: candidate.followedBy.length * WEIGHTS.followedBy
+                + candidate.sharedLikes * WEIGHTS.sharedLikes
+                + candidate.groups.length * WEIGHTS.sharedGroups
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SUGGESTIONS);
+
+    // 没有足够的社交信号时（如新用户），用粉丝数最多的账号补足
+    if (scored.length < MAX_SUGGESTIONS) {
+        const popular = await User.find({
+            _id: { $nin: [...excludedIds, ...scored.map(c => new mongoose.Types.ObjectId(c.id))] }
+        })
+            .sort({ followersCount: -1 })
+            .limit(MAX_SUGGESTIONS - scored.length)
+            .select('_id');
+        popular.forEach(user => scored.push({
+            id: user._id.toString(), followedBy: [], sharedLikes: 0, groups: [], score: 0
+        }));
+    }
+
+    const viaIds = [...new Set(scored.flatMap(c => c.followedBy.slice(0, 3)))];
+    const [users, viaUsers] = await Promise.all([
+        User.find({ _id: { $in: scored.map(c => c.id) } }).select(USER_FIELDS),
+        User.find({ _id: { $in: viaIds } }).select('username')
+    ]);
+
+    const userById = new Map(users.map(user => [user._id.toString(), user]));
+    const usernames = new Map(viaUsers.map(user => [user._id.toString(), user.username]));
+
+    return scored
+        .filter(candidate => userById.has(candidate.id))
+        .map(candidate => ({
+            user: userById.get(candidate.id),
+            score: candidate.score,
+            reason: describeReason(candidate, usernames),
+            reasons: {
+                followedByCount: candidate.followedBy.length,
+                followedBy: candidate.followedBy.slice(0, 3).map(id => usernames.get(id)).filter(Boolean),
+                sharedLikes: candidate.sharedLikes,
+                sharedGroups: candidate.groups.slice(0, 3)
+            }
+        }));
+};
+
+/**
+ * 获取"可能认识的人"推荐，结果按用户缓存
+ * @param {string} userId - 当前用户ID
+ * @param {number} limit - 返回数量
+ * @returns {Promise<object[]>} - [{ user, score, reason, reasons }]
+ */
+export const getSuggestions = async (userId, limit) => {
+    const key = userId.toString();
+    const cached = cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.suggestions.slice(0, limit);
+    }
+
+    const suggestions = await computeSuggestions(userId);
+
+    cache.delete(key);
+    cache.set(key, { expiresAt: Date.now() + CACHE_TTL_MS, suggestions });
+    // Map 按插入顺序迭代，超出上限时淘汰最早写入的条目
+    if (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+
+    return suggestions.slice(0, limit);
+};
@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import PushSubscription from '../models/PushSubscription.js';
+import User from '../models/User.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const TWO_FACTOR_TOKEN_TTL = '5m';
+const MAX_PREVIOUS_REFRESH_TOKENS = 20;
+// 两类令牌共用 JWT_SECRET，用 audience 区分，中间令牌不能当访问令牌使用
+const ACCESS_TOKEN_AUDIENCE = 'access';
+const TWO_FACTOR_TOKEN_AUDIENCE = '2fa';
+
+/**
+ * 令牌校验失败（过期、被撤销、被重放）
+ */
+export class TokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenError';
+    }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// 刷新令牌格式：<sessionId>.<随机串>，数据库只保存随机串的哈希
+const generateRefreshToken = (sessionId) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { token: `${sessionId}.${secret}`, hash: hashSecret(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+// 从请求中取出设备信息
+const getClientInfo = (req) => ({
+    userAgent: (req.headers['user-agent'] || '').slice(0, 512),
+    ip: req.ip || req.socket?.remoteAddress || ''
+});
+
+/**
+ * 签发短期访问令牌，携带会话ID以便撤销
+ * @param {object} user - 用户（需要 _id 和 username）
+ * @param {string|ObjectId} sessionId - 会话ID
+ * @returns {string}
+ */
+export const signAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user._id.toString(), username: user.username, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, audience: ACCESS_TOKEN_AUDIENCE }
+);
+
+/**
+ * 密码验证通过但仍需第二因素时签发的中间令牌，不能用于访问接口
+ * @param {object} user - 用户
+ * @returns {string}
+ */
+export const signTwoFactorToken = (user) => jwt.sign(
+    { userId: user._id.toString(), purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_TOKEN_TTL, audience: TWO_FACTOR_TOKEN_AUDIENCE }
+);
+
+/**
+ * 校验中间令牌
+ * @param {string} token - 中间令牌
+ * @returns {string} - 用户ID
+ */
+export const verifyTwoFactorToken = (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: TWO_FACTOR_TOKEN_AUDIENCE });
+    } catch {
+        throw new TokenError('Two-factor session expired');
+    }
+    if (decoded.purpose !== '2fa' || typeof decoded.userId !== 'string') {
+        throw new TokenError('Invalid two-factor token');
+    }
+    return decoded.userId;
+};
+
+/**
+ * 登录成功后创建会话，返回访问令牌和刷新令牌
+ * @param {object} user - 用户
+ * @param {object} req - Express 请求（用于记录设备和 IP）
+ * @returns {Promise<object>} - { token, refreshToken, sessionId }
+ */
+export const createSession = async (user, req) => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refresh = generateRefreshToken(sessionId);
+
+    await Session.create({
+        _id: sessionId,
+        user: user._id,
+        refreshTokenHash: refresh.hash,
+        ...getClientInfo(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    return {
+        token: signAccessToken(user, sessionId),
+        refreshToken: refresh.token,
+        sessionId: sessionId.toString()
+    };
+};
+
+/**
+ * 用刷新令牌换取新的令牌对；旧刷新令牌随即失效
+ * 已轮换过的刷新令牌再次出现说明可能被盗用，整个会话会被撤销；从未签发过的令牌只会被拒绝
+ * @param {string} refreshToken - 刷新令牌
+ * @param {object} req - Express 请求
+ * @returns {Promise<object>} - { user, token, refreshToken, sessionId }
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) throw new TokenError('Invalid refresh token');
+
+    const now = new Date();
+    const hash = hashSecret(parsed.secret);
+    const next = generateRefreshToken(parsed.sessionId);
+
+    // 条件更新：并发的刷新请求只有一个能用同一个令牌成功
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: parsed.sessionId,
+            refreshTokenHash: hash,
+            revokedAt: null,
+            expiresAt: { $gt: now }
+        },
+        {
+            $set: {
+                refreshTokenHash: next.hash,
+                ...getClientInfo(req),
+                lastUsedAt: now,
+                expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+            },
+            $push: { previousRefreshTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_REFRESH_TOKENS } }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // 只有确实签发过、已被轮换掉的令牌才算重放；仅知道会话ID无法撤销他人的会话
+        const revoked = await Session.findOneAndUpdate(
+            { _id: parsed.sessionId, previousRefreshTokenHashes: hash, revokedAt: null },
+            { $set: { revokedAt: now, revokedReason: 'reuse' } }
+        );
+        if (revoked) {
+            await PushSubscription.deleteMany({ session: revoked._id });
+            global.socketServer?.disconnectSessions([parsed.sessionId]);
+            throw new TokenError('Refresh token reuse detected, session revoked');
+        }
+        throw new TokenError('Invalid refresh token');
+    }
+
+    const user = await User.findById(session.user).select('username');
+    if (!user) throw new TokenError('Session expired');
+
+    return {
+        user,
+        token: signAccessToken(user, session._id),
+        refreshToken: next.token,
+        sessionId: session._id.toString()
+    };
+};
+
+/**
+ * 校验访问令牌签名，并确认其会话仍然有效
+ * @param {string} token - 访问令牌
+ * @returns {Promise<object>} - 解码后的载荷 { userId, username, sid }
+ */
+export const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+
+    // 不带会话ID的旧令牌无法撤销，不再接受
+    if (typeof decoded.sid !== 'string' || !mongoose.isValidObjectId(decoded.sid)) {
+        throw new TokenError('Session expired');
+    }
+
+    const active = await Session.exists({
+        _id: decoded.sid,
+        user: decoded.userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    if (!active) throw new TokenError('Session revoked');
+
+    return decoded;
+};
+
+/**
+ * 撤销会话，并断开对应的实时连接
+ * @param {string|ObjectId} userId - 会话所属用户
+ * @param {object} options - { sessionId, exceptSessionId, reason }
+ * @returns {Promise<number>} - 撤销的会话数
+ */
+export const revokeSessions = async (userId, { sessionId, exceptSessionId, reason = 'revoked' } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (sessionId) filter._id = sessionId;
+    else if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessionIds = await Session.find(filter).distinct('_id');
+    if (sessionIds.length === 0) return 0;
+
+    await Session.updateMany(
+        { _id: { $in: sessionIds }, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    // 已退出的设备不再接收推送
+    await PushSubscription.deleteMany({ session: { $in: sessionIds } });
+    global.socketServer?.disconnectSessions(sessionIds.map(id => id.toString()));
+
+    return sessionIds.length;
+};
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// 允许前后各一个时间步的时钟偏差
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Base32 编码（RFC 4648，不补 =）
+ * @param {Buffer} buffer - 原始字节
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Base32 解码，忽略大小写、空格和补位
+ * @param {string} input - Base32 字符串
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * 生成 TOTP 密钥（160 位，Base32）
+ * @returns {string}
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP（RFC 4226）
+const generateHotp = (key, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return code.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * 计算某一时刻的 TOTP 验证码（RFC 6238，SHA-1，6 位，30 秒）
+ * @param {string} secret - Base32 密钥
+ * @param {number} [time] - 毫秒时间戳
+ * @returns {string}
+ */
+export const generateTotp = (secret, time = Date.now()) =>
+    generateHotp(base32Decode(secret), Math.floor(time / 1000 / STEP_SECONDS));
+
+/**
+ * 校验 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {number} [lastUsedStep] - 上次成功使用的时间步，不接受同一时间步或更早的验证码（防重放）
+ * @returns {number|null} - 匹配的时间步，失败返回 null
+ */
+export const verifyTotp = (secret, code, lastUsedStep = 0) => {
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) return null;
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+    for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateHotp(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * 生成验证器 App 使用的 otpauth:// URI
+ * @param {string} secret - Base32 密钥
+ * @param {string} accountName - 账号名
+ * @param {string} issuer - 服务名
+ * @returns {string}
+ */
+export const buildOtpauthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * 恢复码哈希（恢复码本身只在生成时返回一次）
+ * @param {string} code - 恢复码
+ * @returns {string}
+ */
+export const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(code.toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+/**
+ * 生成一组一次性恢复码
+ * @returns {object} - { codes, hashes }
+ */
+export const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
@@ -0,0 +1,271 @@
+import Post from '../models/Post.js';
+import TrendingScore from '../models/TrendingScore.js';
+import logger from './logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// duration: 窗口长度；tau: 指数衰减时间常数（越小越偏向新内容）
+export const TRENDING_WINDOWS = {
+    '1h': { duration: HOUR, tau: 0.5 * HOUR },
+    '24h': { duration: 24 * HOUR, tau: 6 * HOUR },
+    '7d': { duration: 7 * 24 * HOUR, tau: 48 * HOUR }
+};
+
+// 互动权重
+const WEIGHTS = { like: 1, reply: 2, repost: 3, quote: 3 };
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.TRENDING_REFRESH_INTERVAL_MS) || 5 * 60 * 1000;
+
+let lastRefreshAt = null;
+let refreshing = false;
+let refreshTimer = null;
+
+const getEngagement = (post) =>
+    post.likeCount * WEIGHTS.like
+    + (post.replyCount || 0) * WEIGHTS.reply
+    + (post.repostCount || 0) * WEIGHTS.repost
+    + (post.quoteCount || 0) * WEIGHTS.quote;
+
+// engagement * e^(-(now - createdAt) / tau) 的排序等价于 ln(engagement) + createdAt / tau，
+// 与当前时间无关，因此没有新互动的条目无需重算
+const getRankKey = (engagement, createdAt, tau) => Math.log(engagement) + createdAt.getTime() / tau;
+
+// 将排序键还原为当前时刻的衰减分数
+const toCurrentScore = (key, tau, now = Date.now()) => Math.exp(key - now / tau);
+
+const logSumExp = (values) => {
+    const max = Math.max(...values);
+    return max + Math.log(values.reduce((sum, v) => sum + Math.exp(v - max), 0));
+};
+
+// 根据窗口内帖子分数重新计算话题分数
+const recomputeTags = async (window, tags) => {
+    if (tags.size === 0) return;
+
+    const tagList = [...tags];
+    const groups = await TrendingScore.aggregate([
+        { $match: { kind: 'post', window, hashtags: { $in: tagList } } },
+        { $unwind: '$hashtags' },
+        { $match: { hashtags: { $in: tagList } } },
+        { $group: { _id: '$hashtags', scores: { $push: '$score' }, engagement: { $sum: '$engagement' } } }
+    ]);
+
+    const found = new Set(groups.map(g => g._id));
+    const now = new Date();
+
+    const ops = groups.map(group => ({
+        updateOne: {
+            filter: { kind: 'tag', key: group._id, window },
+            update: {
+                $set: {
+                    score: logSumExp(group.scores),
+                    engagement: group.engagement,
+                    postCount: group.scores.length,
+                    updatedAt: now
+                }
+            },
+            upsert: true
+        }
+    }));
+
+    const emptyTags = tagList.filter(tag => !found.has(tag));
+    if (emptyTags.length > 0) {
+        ops.push({ deleteMany: { filter: { kind: 'tag', window, key: { $in: emptyTags } } } });
+    }
+
+    if (ops.length > 0) {
+        await TrendingScore.bulkWrite(ops, { ordered: false });
+    }
+};
+
+/**
+ * 增量刷新热度：只处理上次刷新后有新互动的帖子，并清理滑出窗口的条目
+ */
+export const refreshTrending = async () => {
+    if (refreshing) return;
+    refreshing = true;
+
+    const startedAt = new Date();
+
+    try {
+        const oldestWindowStart = new Date(startedAt.getTime() - TRENDING_WINDOWS['7d'].duration);
+        const since = lastRefreshAt || oldestWindowStart;
+
+        const changedPosts = await Post.aggregate([
+            {
+                $match: {
+                    parent: null,
+                    repost: null,
+                    createdAt: { $gte: oldestWindowStart },
+                    $or: [
+                        { lastEngagedAt: { $gte: since } },
+                        { lastEngagedAt: { $exists: false }, createdAt: { $gte: since } }
+                    ]
+                }
+            },
+            {
+                $project: {
+                    createdAt: 1,
+                    hashtags: 1,
+                    replyCount: 1,
+                    repostCount: 1,
+                    quoteCount: 1,
+                    likeCount: { $size: { $ifNull: ['$likes', []] } }
+                }
+            }
+        ]);
+
+        for (const [window, { duration, tau }] of Object.entries(TRENDING_WINDOWS)) {
+            const windowStart = new Date(startedAt.getTime() - duration);
+            const affectedTags = new Set();
+            const ops = [];
+
+            // 编辑后移除的话题也要重新计算
+            const previous = await TrendingScore.find({
+                kind: 'post',
+                window,
+                key: { $in: changedPosts.map(post => post._id.toString()) }
+            }).select('hashtags').lean();
+            previous.forEach(entry => (entry.hashtags || []).forEach(tag => affectedTags.add(tag)));
+
+            for (const post of changedPosts) {
+                const key = post._id.toString();
+                const engagement = getEngagement(post);
+                (post.hashtags || []).forEach(tag => affectedTags.add(tag));
+
+                if (post.createdAt < windowStart || engagement <= 0) {
+                    ops.push({ deleteOne: { filter: { kind: 'post', key, window } } });
+                    continue;
+                }
+
+                ops.push({
+                    updateOne: {
+                        filter: { kind: 'post', key, window },
+                        update: {
+                            $set: {
+                                score: getRankKey(engagement, post.createdAt, tau),
+                                engagement,
+                                post: post._id,
+                                hashtags: post.hashtags || [],
+                                createdAt: post.createdAt,
+                                updatedAt: startedAt
+                            }
+                        },
+                        upsert: true
+                    }
+                });
+            }
+
+            // 清理滑出窗口的帖子
+            const expired = await TrendingScore.find({
+                kind: 'post',
+                window,
+                createdAt: { $lt: windowStart }
+            }).select('hashtags').lean();
+
+            if (expired.length > 0) {
+                expired.forEach(entry => (entry.hashtags || []).forEach(tag => affectedTags.add(tag)));
+                ops.push({ deleteMany: { filter: { _id: { $in: expired.map(e => e._id) } } } });
+            }
+
+            if (ops.length > 0) {
+                await TrendingScore.bulkWrite(ops, { ordered: false });
+            }
+
+            await recomputeTags(window, affectedTags);
+        }
+
+        lastRefreshAt = startedAt;
+
+        if (process.env.DEBUG === 'true') {
+            logger.debug('Trending scores refreshed', { changedPosts: changedPosts.length });
+        }
+    } catch (error) {
+        logger.error('Failed to refresh trending scores', error);
+    } finally {
+        refreshing = false;
+    }
+};
+
+/**
+ * 从热度榜中移除已删除的帖子
+ * @param {Array<string|ObjectId>} postIds - 帖子ID列表
+ */
+export const removePostsFromTrending = async (postIds) => {
+    try {
+        const keys = postIds.map(id => id.toString());
+        const entries = await TrendingScore.find({ kind: 'post', key: { $in: keys } })
+            .select('window hashtags')
+            .lean();
+
+        if (entries.length === 0) return;
+
+        await TrendingScore.deleteMany({ kind: 'post', key: { $in: keys } });
+
+        for (const window of Object.keys(TRENDING_WINDOWS)) {
+            const tags = new Set();
+            entries
+                .filter(entry => entry.window === window)
+                .forEach(entry => (entry.hashtags || []).forEach(tag => tags.add(tag)));
+            await recomputeTags(window, tags);
+        }
+    } catch (error) {
+        logger.error('Failed to remove posts from trending', error);
+    }
+};
+
+/**
+ * 获取热门帖子
+ * @param {string} window - 时间窗口（1h / 24h / 7d）
+ * @param {number} limit - 数量
+ * @returns {Promise<Array<{ post: ObjectId, score: number, engagement: number }>>}
+ */
+export const getTrendingPosts = async (window, limit) => {
+    const { tau } = TRENDING_WINDOWS[window];
+    const entries = await TrendingScore.find({ kind: 'post', window })
+        .sort({ score: -1 })
+        .limit(limit)
+        .lean();
+
+    const now = Date.now();
+    return entries.map(entry => ({
+        post: entry.post,
+        score: toCurrentScore(entry.score, tau, now),
+        engagement: entry.engagement
+    }));
+};
+
+/**
+ * 获取热门话题
+ * @param {string} window - 时间窗口（1h / 24h / 7d）
+ * @param {number} limit - 数量
+ * @returns {Promise<Array<{ tag: string, score: number, postCount: number }>>}
+ */
+export const getTrendingTags = async (window, limit) => {
+    const { tau } = TRENDING_WINDOWS[window];
+    const entries = await TrendingScore.find({ kind: 'tag', window })
+        .sort({ score: -1 })
+        .limit(limit)
+        .lean();
+
+    const now = Date.now();
+    return entries.map(entry => ({
+        tag: entry.key,
+        score: toCurrentScore(entry.score, tau, now),
+        engagement: entry.engagement,
+        postCount: entry.postCount
+    }));
+};
+
+/**
+ * 启动定时刷新任务
+ */
+export const startTrendingJob = () => {
+    if (refreshTimer) return;
+
+    refreshTrending();
+    refreshTimer = setInterval(refreshTrending, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+
+    logger.info(`Trending refresh job started (every ${Math.round(REFRESH_INTERVAL_MS / 1000)}s)`);
+};
@@ -0,0 +1,33 @@
+import User from '../models/User.js';
+import { verifyTotp, hashRecoveryCode } from './totp.js';
+
+/**
+ * 校验 TOTP 验证码或恢复码；通过的验证码不能再次使用，恢复码用后即从账号中移除
+ * @param {object} user - 用户（需要 twoFactor.secret 和 twoFactor.lastUsedStep）
+ * @param {object} input - { code, recoveryCode }
+ * @returns {Promise<string|null>} - 'totp' / 'recovery_code'，失败返回 null
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (typeof code === 'string' && code) {
+        const step = verifyTotp(user.twoFactor.secret, code.trim(), user.twoFactor.lastUsedStep);
+        if (step === null) return null;
+
+        // 条件更新：并发请求中同一个验证码只有一个能通过
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (typeof recoveryCode === 'string' && recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } }
+        );
+        return result.modifiedCount === 1 ? 'recovery_code' : null;
+    }
+
+    return null;
+};
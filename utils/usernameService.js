@@ -0,0 +1,64 @@
+import User from '../models/User.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const USERNAME_CHANGE_INTERVAL_MS = (parseInt(process.env.USERNAME_CHANGE_INTERVAL_DAYS) || 30) * DAY_MS;
+export const USERNAME_RESERVATION_MS = (parseInt(process.env.USERNAME_RESERVATION_DAYS) || 30) * DAY_MS;
+
+/**
+ * 按用户名查找用户，找不到时按保留期内的历史用户名解析到现在的账号（保留期过后旧用户名可被他人注册，不再跳转）
+ * @param {string} username - 用户名（可为旧用户名）
+ * @param {string} [select] - 需要的字段
+ * @returns {Promise<object>} - { user, redirectedFrom }，user 可能为 null
+ */
+export const findUserByHandle = async (username, select) => {
+    const current = User.findOne({ username });
+    const user = await (select ? current.select(select) : current);
+    if (user) return { user, redirectedFrom: null };
+
+    const history = await UsernameHistory.findOne({ username, reservedUntil: { $gt: new Date() } }).sort({ changedAt: -1 });
+    if (!history) return { user: null, redirectedFrom: null };
+
+    const renamed = User.findById(history.user);
+    const resolved = await (select ? renamed.select(select) : renamed);
+    return { user: resolved, redirectedFrom: resolved ? username : null };
+};
+
+/**
+ * 批量将保留期内的历史用户名解析为用户（当前用户名优先）
+ * @param {string[]} usernames - 用户名
+ * @returns {Promise<Map<string, ObjectId>>} - 用户名 -> 用户ID
+ */
+export const resolveHandles = async (usernames) => {
+    const ids = new Map();
+    if (usernames.length === 0) return ids;
+
+    const users = await User.find({ username: { $in: usernames } }).select('_id username');
+    users.forEach(user => ids.set(user.username, user._id));
+
+    const missing = usernames.filter(name => !ids.has(name));
+    if (missing.length > 0) {
+        const history = await UsernameHistory.find({ username: { $in: missing }, reservedUntil: { $gt: new Date() } })
+            .sort({ changedAt: -1 });
+        history.forEach(entry => {
+            if (!ids.has(entry.username)) ids.set(entry.username, entry.user);
+        });
+    }
+
+    return ids;
+};
+
+/**
+ * 用户名是否被其他用户的历史记录保留中
+ * @param {string} username - 用户名
+ * @param {string|ObjectId} userId - 当前用户ID（可以取回自己的旧用户名）
+ * @returns {Promise<boolean>}
+ */
+export const isUsernameReserved = async (username, userId) => {
+    const reserved = await UsernameHistory.exists({
+        username,
+        user: { $ne: userId },
+        reservedUntil: { $gt: new Date() }
+    });
+    return Boolean(reserved);
+};
@@ -149,6 +149,15 @@ export const validateSearchQuery = (query, maxLength = 100) => {
   return cleanedQuery;
 };
 
+/**
+ * 转义正则表达式特殊字符，使用户输入按字面匹配
+ * @param {string} text - 用户输入
+ * @returns {string} - 可安全用于 RegExp 的字符串
+ */
+export const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 /**
  * 验证日期范围
  * @param {Date|string} startDate - 开始日期
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Post from '../models/Post.js';
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+/**
+ * 获取对该用户隐藏内容的作者：屏蔽关系（双向）+ 该用户静音的用户
+ * 未关注的私密账号不在其中，帖子列表另用 getPrivateAuthorFilter 过滤
+ * @param {string|ObjectId} userId - 当前用户ID
+ * @returns {Promise<ObjectId[]>}
+ */
+export const getHiddenAuthorIds = async (userId) => {
+    const [user, blockedBy] = await Promise.all([
+        User.findById(userId).select('blocked muted'),
+        User.find({ blocked: userId }).distinct('_id')
+    ]);
+
+    const ids = new Map();
+    [...(user?.blocked || []), ...(user?.muted || []), ...blockedBy]
+        .forEach(id => ids.set(id.toString(), id));
+    return [...ids.values()];
+};
+
+/**
+ * 帖子查询条件：作者公开，或是本人/已关注的人（依赖 Post.authorPrivate）
+ * 与其他条件组合时放进 $and，避免与游标的 $or 冲突
+ * @param {string|ObjectId} userId - 当前用户ID
+ * @returns {Promise<object>}
+ */
+export const getPrivateAuthorFilter = async (userId) => {
+    const following = await Follow.find({ follower: userId }).distinct('following');
+    return {
+        $or: [
+            { authorPrivate: { $ne: true } },
+            { author: { $in: [...following, toObjectId(userId)] } }
+        ]
+    };
+};
+
+/**
+ * 切换私密状态后同步该作者所有帖子的 authorPrivate
+ * @param {string|ObjectId} userId - 作者ID
+ * @param {boolean} isPrivate - 是否私密
+ */
+export const syncAuthorPrivacy = async (userId, isPrivate) => {
+    await Post.updateMany({ author: userId, authorPrivate: { $ne: isPrivate } }, { $set: { authorPrivate: isPrivate } });
+};
+
+/**
+ * 在给定的作者中找出对当前用户隐藏的：屏蔽关系（双向）、静音、或未关注的私密账号
+ * 只查询这些作者，开销与列表大小相关而不是用户总数
+ * @param {string|ObjectId} viewerId - 当前用户ID
+ * @param {Array<string|ObjectId>} authorIds - 作者ID
+ * @returns {Promise<Set<string>>}
+ */
+export const getHiddenAmong = async (viewerId, authorIds) => {
+    const viewer = viewerId.toString();
+    const ids = [...new Set(authorIds.map(id => id.toString()))]
+        .filter(id => id !== viewer)
+        .map(toObjectId);
+    if (ids.length === 0) return new Set();
+
+    const [user, authors, following] = await Promise.all([
+        User.findById(viewerId).select('blocked muted'),
+        User.find({ _id: { $in: ids } }).select('isPrivate blocked').lean(),
+        Follow.find({ follower: viewerId, following: { $in: ids } }).distinct('following')
+    ]);
+
+    const followingSet = new Set(following.map(id => id.toString()));
+    const hidden = new Set([...(user?.blocked || []), ...(user?.muted || [])].map(id => id.toString()));
+    for (const author of authors) {
+        const id = author._id.toString();
+        const blockedViewer = (author.blocked || []).some(blockedId => blockedId.toString() === viewer);
+        if (blockedViewer || (author.isPrivate && !followingSet.has(id))) hidden.add(id);
+    }
+
+    return new Set(ids.map(id => id.toString()).filter(id => hidden.has(id)));
+};
+
+/**
+ * 过滤帖子列表：去掉作者、被转发或被引用帖子的作者对当前用户隐藏的帖子，以及作者已不存在的帖子
+ * @param {string|ObjectId} viewerId - 当前用户ID
+ * @param {object[]} posts - 帖子（author/repost/quote 可已 populate）
+ * @returns {Promise<object[]>}
+ */
+export const filterVisiblePosts = async (viewerId, posts) => {
+    const idOf = (author) => author?._id || author;
+    const authorIds = posts
+        .flatMap(post => [post?.author, post?.repost?.author, post?.quote?.author])
+        .filter(Boolean)
+        .map(idOf);
+    const hidden = await getHiddenAmong(viewerId, authorIds);
+    return posts.filter(post => post && post.author && !isPostHidden(post, hidden));
+};
+
+/**
+ * 当前用户能否查看该作者的帖子：作者未设为私密，或是本人，或已被批准关注
+ * @param {string|ObjectId} viewerId - 当前用户ID
+ * @param {string|ObjectId} authorId - 作者ID
+ * @returns {Promise<boolean>}
+ */
+export const canViewAuthorPosts = async (viewerId, authorId) => {
+    if (viewerId && viewerId.toString() === authorId.toString()) return true;
+
+    const author = await User.findById(authorId).select('isPrivate');
+    if (!author || !author.isPrivate) return true;
+
+    if (!viewerId) return false;
+    return Boolean(await Follow.exists({ follower: viewerId, following: author._id }));
+};
+
+/**
+ * 两个用户之间是否存在屏蔽关系（任一方向）
+ * @param {string|ObjectId} userA
+ * @param {string|ObjectId} userB
+ * @returns {Promise<boolean>}
+ */
+export const isBlockedBetween = async (userA, userB) => {
+    if (!userA || !userB) return false;
+
+    const exists = await User.exists({
+        $or: [
+            { _id: toObjectId(userA), blocked: toObjectId(userB) },
+            { _id: toObjectId(userB), blocked: toObjectId(userA) }
+        ]
+    });
+    return Boolean(exists);
+};
+
+/**
+ * 过滤通知接收者：去掉与发送者存在屏蔽关系、或静音了发送者的用户
+ * @param {string|ObjectId} fromId - 发送者ID
+ * @param {Array<string|ObjectId>} recipientIds - 接收者ID
+ * @returns {Promise<Array<string|ObjectId>>}
+ */
+export const filterNotificationRecipients = async (fromId, recipientIds) => {
+    if (recipientIds.length === 0) return recipientIds;
+
+    const from = toObjectId(fromId);
+    const [sender, excluded] = await Promise.all([
+        User.findById(from).select('blocked'),
+        User.find({
+            _id: { $in: recipientIds.map(toObjectId) },
+            $or: [{ blocked: from }, { muted: from }]
+        }).distinct('_id')
+    ]);
+
+    const skip = new Set([...(sender?.blocked || []), ...excluded].map(id => id.toString()));
+    return recipientIds.filter(id => !skip.has(id.toString()));
+};
+
+/**
+ * 帖子是否应对当前用户隐藏：作者或被转发/引用帖子的作者在隐藏列表中
+ * @param {object} post - 帖子（author/repost/quote 可已 populate）
+ * @param {Set<string>} hiddenIds - 隐藏的作者ID集合
+ * @returns {boolean}
+ */
+export const isPostHidden = (post, hiddenIds) => {
+    if (hiddenIds.size === 0) return false;
+
+    const idOf = (author) => (author?._id || author)?.toString();
+    return [post.author, post.repost?.author, post.quote?.author]
+        .some(author => author && hiddenIds.has(idOf(author)));
+};
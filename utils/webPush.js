@@ -1,9 +1,26 @@
-const webpush = require('web-push');
+import webpush from 'web-push';
+import dotenv from 'dotenv';
+dotenv.config();
 
-webpush.setVapidDetails(
-    'mailto:you@example.com',
-    process.env.VAPID_PUBLIC_KEY,
-    process.env.VAPID_PRIVATE_KEY
-);
+const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:you@example.com';
 
-module.exports = webpush;
\ No newline at end of file
+// 未配置密钥时不启用推送（本地开发无需配置）
+const configured = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+if (configured) {
+    webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+/**
+ * 是否已配置 VAPID 密钥
+ * @returns {boolean}
+ */
+export const isWebPushConfigured = () => configured;
+
+/**
+ * 浏览器订阅时使用的公钥
+ * @returns {string|null}
+ */
+export const getVapidPublicKey = () => VAPID_PUBLIC_KEY || null;
+
+export default webpush;